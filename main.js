@@ -12,27 +12,6 @@
 // @grant        none
 // ==/UserScript==
 
-// TODO: Features to add:
-// - Implement local storage for user settings;
-// - Show total playtime of playlist;
-// - Change paused video UI behaviour:
-//   - UI should be hidden when video is paused, shown if video is hovered;
-// - Create a button to open all subscriptions which have new content.
-// - Skip to next chapter.
-
-// TODO: Fix needed:
-// - Tweaks are adversely affected by ad state. The ad state needs to be
-//   monitored somehow and an event has to be fired when it changes so that
-//   tweaks can respond appropriately.
-//
-// The following tweaks are being affected so far:
-// - EffectiveTimeDisplay: has to constantly call enableEffTDs/disableEffTDs
-//   to guarantee that effTD will not be displayed during ads.
-// - CustomPreferredQuality: cannot set preferred quality when ad plays as soon
-//   as the page is loaded.
-// - ModPlaybackRate: playback rate is sometimes set to 1x regardless of
-//   previous user choice when returning to video after ad is played.
-
 // TODO: Refactor:
 // - Create a closeAds method for both the YouTubeApp and YouTubePlayer classes.
 
@@ -43,7 +22,40 @@
      * Events which can possibly trigger Tweaks to be applied.
      * @enum {string}
      */
-    const EVENTS = { INIT: "init", REFRESH: "refresh" };
+    const EVENTS = {
+        INIT: "init",
+        REFRESH: "refresh",
+        AD_STATE_CHANGE: "adStateChange",
+        VIDEO_CHANGE: "videoChange",
+        PAGE_CHANGE: "pageChange",
+        REMOVE: "remove",
+    };
+
+    /**
+     * Types of YouTube pages.
+     * @enum {string}
+     */
+    const PAGE_TYPES = {
+        WATCH: "watch",
+        CHANNEL: "channel",
+        FEED: "feed",
+        SEARCH: "search",
+        SHORTS: "shorts",
+        OTHER: "other",
+    };
+
+    /**
+     * Ad states a player can be in.
+     * @enum {string}
+     */
+    const AD_STATES = {
+        // No ad is being displayed.
+        NONE: "none",
+        // A video ad is playing in place of the video.
+        AD: "ad",
+        // An ad overlay is displayed over the video.
+        OVERLAY: "overlay",
+    };
 
     /**
      * YouTube player quality level aliases.
@@ -68,1101 +80,7285 @@
     };
 
     /**
-     * Interface for interacting with and modding the YouTube webpage.
+     * Vertical resolution of each YouTube player quality level, from lowest
+     * to highest.
+     * @type {Object<QUALITY_LEVELS, number>}
      */
-    class TweakedYouTubeApp {
+    const QUALITY_HEIGHTS = {
+        tiny: 144,
+        small: 240,
+        medium: 360,
+        large: 480,
+        hd720: 720,
+        hd1080: 1080,
+        hd1440: 1440,
+        hd2160: 2160,
+        highres: 4320,
+    };
+
+    /**
+     * @param {QUALITY_LEVELS} quality1
+     * @param {QUALITY_LEVELS} quality2
+     * @returns {QUALITY_LEVELS} The lowest of both qualities, "auto" being the
+     * highest.
+     */
+    function lowerQuality(quality1, quality2) {
+        const height1 = QUALITY_HEIGHTS[quality1] || Infinity;
+        const height2 = QUALITY_HEIGHTS[quality2] || Infinity;
+        return (height1 <= height2) ? quality1 : quality2;
+    }
+
+    /**
+     * Colors of the SponsorBlock segment categories, mapped by category.
+     * @type {Object<string, string>}
+     */
+    const SEGMENT_CATEGORIES = {
+        sponsor: "#00d400",
+        selfpromo: "#ffff00",
+        interaction: "#cc00ff",
+        intro: "#00ffff",
+        outro: "#0202ed",
+        preview: "#008fd6",
+        music_offtopic: "#ff9900",
+        filler: "#7300ff",
+    };
+
+    /**
+     * Types of the values a Tweak setting can hold.
+     * @enum {string}
+     */
+    const SETTING_TYPES = {
+        BOOLEAN: "boolean",
+        NUMBER: "number",
+        STRING: "string",
+        ENUM: "enum",
+        OBJECT: "object",
+        LIST: "list",
+    };
+
+    /**
+     * @typedef {Object} SettingSchema
+     * @property {SETTING_TYPES} type Type of the setting value.
+     * @property {*} [default] Value used when none is stored or the stored
+     * one is invalid.
+     * @property {string} [description] Human readable description.
+     * @property {number} [min] Minimum value of NUMBER settings.
+     * @property {number} [max] Maximum value of NUMBER settings.
+     * @property {Array} [values] Allowed values of ENUM settings.
+     * @property {SettingSchema} [items] Schema of the items of LIST settings.
+     */
+
+    /**
+     * Reports an error thrown by a Tweak hook or an event subscriber with the
+     * "YouTubeTweaks:error" window event instead of throwing it further.
+     * Tweaks and subscribers can come from other scripts, and one failing must
+     * not break the app nor the others.
+     * @param {Error} error
+     * @param {Object} detail What threw the error, e.g. { tweak, hook }.
+     */
+    function reportError(error, detail) {
+        window.dispatchEvent(new CustomEvent("YouTubeTweaks:error", {
+            detail: { ...detail, error: error },
+        }));
+    }
+
+    /**
+     * Calls a hook of a Tweak, reporting its errors instead of throwing them.
+     * @param {Tweak} tweak
+     * @param {string} hook Name of the hook, e.g. "onPlayerInit".
+     * @param {...*} args Arguments of the hook.
+     */
+    function callHook(tweak, hook, ...args) {
+        try {
+            tweak[hook](...args);
+        } catch (error) {
+            reportError(error, { tweak: tweak, hook: hook });
+        }
+    }
+
+    /**
+     * Prompts the browser to save a blob as a file.
+     * @param {Blob} blob Contents of the file.
+     * @param {string} filename Suggested name of the file.
+     */
+    function downloadFile(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = filename.replace(/[<>:"/\\|?*\x00-\x1f]/g, "_");
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Revoking right away may cancel the download in some browsers.
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+
+    /**
+     * @param {*} value
+     * @returns {boolean} Whether the value is an object other than an array.
+     */
+    function isPlainObject(value) {
+        return !!value && typeof value === "object" && !Array.isArray(value);
+    }
+
+    /**
+     * Persists the user settings of every Tweak in the local storage.
+     */
+    class SettingsStore {
         /**
-         * @param {Array<Tweak>} tweaks List of tweaks to be applied.
+         * @param {string} storageKey Local storage key of the settings.
          */
-        constructor(tweaks = []) {
-            this.tweaks = tweaks;
+        constructor(storageKey = "YouTubeTweaks.settings") {
+            this.storageKey = storageKey;
+            this.data = this.load();
+        }
 
-            // A single YouTube webpage can often have more than one active
-            // player at once (e.g. main video player, miniplayer, channel home
-            // screen player).
-            this.players = [];
+        /**
+         * Current version of the stored settings format.
+         * @type {number}
+         */
+        static get VERSION() {
+            return 3;
+        }
 
-            this.applyEagerTweaks();
-            this.applyTweaks(EVENTS.INIT);
-            this.updatePlayers();
-            window.addEventListener(
-                "yt-visibility-refresh",
-                this.refreshHandler.bind(this)
-            );
+        /**
+         * Functions that migrate the stored settings from the version they
+         * are indexed by to the next one.
+         * @type {Object<number, function(Object): Object>}
+         */
+        static get migrations() {
+            return {
+                // Tweaks can be enabled and disabled since version 2.
+                1: (data) => {
+                    const tweaks = {};
+                    const stored = isPlainObject(data.tweaks) ?
+                        data.tweaks : {};
+                    for (const [name, settings] of Object.entries(stored)) {
+                        tweaks[name] = { enabled: true, settings: settings };
+                    }
+                    return { ...data, tweaks: tweaks };
+                },
+                // Keyboard shortcuts are bound to registered actions since
+                // version 3, custom shortcut definitions are dropped.
+                2: (data) => {
+                    const entry = data.tweaks.CustomKeyboardShortcuts;
+                    if (entry && isPlainObject(entry.settings)) {
+                        delete entry.settings.customShortcuts;
+                    }
+                    return { ...data, shortcuts: {} };
+                },
+            };
         }
 
-        applyEagerTweaks() {
-            for (const tweak of this.tweaks) {
-                tweak.onAppEagerInit(this);
+        load() {
+            let data = null;
+            try {
+                data = JSON.parse(localStorage.getItem(this.storageKey));
+            } catch (error) {
+                // Corrupted settings are discarded.
             }
-        }
 
-        applyTweaks(event) {
-            for (const tweak of this.tweaks) {
-                switch (event) {
-                    case EVENTS.INIT:
-                        tweak.onAppInit(this);
-                        break;
-                    case EVENTS.REFRESH:
-                        tweak.onAppRefresh(this);
-                        break;
-                }
+            if (!isPlainObject(data)) {
+                return SettingsStore.createDefaultData();
+            }
+
+            const storedVersion = data.version;
+            try {
+                data = this.normalize(this.migrate(data));
+            } catch (error) {
+                // Malformed settings that cannot be migrated are discarded.
+                return SettingsStore.createDefaultData();
             }
+            if (data.version !== storedVersion) {
+                this.save(data);
+            }
+
+            return data;
         }
 
-        updatePlayers() {
-            const players = document.getElementsByClassName(
-                "html5-video-player"
-            );
-            for (const element of players) {
-                const isNew = !this.players.find(e => (e.element === element));
-                if (isNew) {
-                    const player = new TweakedYouTubePlayer(
-                        element, this.tweaks
-                    );
-                    this.players.push(player);
-                }
+        save(data = this.data) {
+            try {
+                localStorage.setItem(this.storageKey, JSON.stringify(data));
+            } catch (error) {
+                // The storage might be full or unavailable (e.g. private
+                // browsing), in which case settings last until a reload.
             }
         }
 
-        refreshHandler() {
-            this.updatePlayers();
+        static createDefaultData() {
+            return {
+                version: SettingsStore.VERSION,
+                tweaks: {},
+                shortcuts: {},
+            };
+        }
 
-            this.applyTweaks(EVENTS.REFRESH);
-            for (const player of this.players) {
-                player.applyTweaks(EVENTS.REFRESH);
+
+        migrate(data) {
+            const migrations = SettingsStore.migrations;
+
+            let version = data.version || 1;
+            while (version < SettingsStore.VERSION) {
+                data = migrations[version](data);
+                version++;
             }
+            data.version = version;
+
+            return data;
         }
 
-        get mainPlayer() {
-            for (const player of this.players) {
-                if (player.matches("#movie_player")) {
-                    return player;
+        /**
+         * Drops the parts of migrated settings that do not have the expected
+         * shape.
+         */
+        normalize(data) {
+            const tweaks = {};
+            if (isPlainObject(data.tweaks)) {
+                for (const [name, entry] of Object.entries(data.tweaks)) {
+                    if (!isPlainObject(entry)) continue;
+                    if (!isPlainObject(entry.settings)) {
+                        entry.settings = {};
+                    }
+                    tweaks[name] = entry;
                 }
             }
+
+            const shortcuts = isPlainObject(data.shortcuts) ?
+                data.shortcuts : {};
+
+            return { ...data, tweaks: tweaks, shortcuts: shortcuts };
         }
 
-        get focusedPlayer() {
-            for (const player of this.players) {
-                if (player.contains(document.activeElement)) {
-                    return player;
-                }
-            }
+        /**
+         * Gets the settings of a Tweak. Missing or invalid values are
+         * replaced by the defaults declared in the Tweak schema.
+         * @param {typeof Tweak} TweakClass
+         * @returns {Object<string, *>}
+         */
+        get(TweakClass) {
+            const entry = this.data.tweaks[TweakClass.name];
+            const stored = (entry && entry.settings) || {};
+            return SettingsStore.validate(TweakClass.settingsSchema, stored);
         }
 
-        focusNextPlayer() {
-            const numberOfPlayers = this.players.length;
-            if (!numberOfPlayers) return;
+        /**
+         * Validates and stores the settings of a Tweak.
+         * @param {typeof Tweak} TweakClass
+         * @param {Object<string, *>} settings
+         * @returns {Object<string, *>} The settings that were stored.
+         */
+        set(TweakClass, settings) {
+            const schema = TweakClass.settingsSchema;
+            const validSettings = SettingsStore.validate(schema, settings);
+            this.getEntry(TweakClass).settings = validSettings;
+            this.save();
 
-            let focusedPlayerIdx = this.players.indexOf(this.focusedPlayer);
-            focusedPlayerIdx = (focusedPlayerIdx + 1) % numberOfPlayers;
-            this.players[focusedPlayerIdx].focus();
+            return validSettings;
         }
-    }
 
-    /**
-     * Interface for interacting with and modding the YouTube player.
-     * @extends {NativeYouTubePlayer}
-     */
-    class TweakedYouTubePlayer {
         /**
-         * @param {HTMLDivElement} player Div containing the YouTube player.
-         * @param {Array<Tweaks>} tweaks List of tweaks to be applied.
+         * Restores the default settings of a Tweak.
+         * @param {typeof Tweak} TweakClass
          */
-        constructor(player, tweaks = []) {
-            this.element = player;
-            this.tweaks = tweaks;
-
-            // Proxy is used so that the class can act as an extension of the
-            // player element.
-            this.proxy = new Proxy(this, { get: this.getHandler });
+        reset(TweakClass) {
+            this.getEntry(TweakClass).settings = {};
+            this.save();
+        }
 
-            // Monitors changes to the UI elements so that the proper display
-            // style can be set when toggling the UI.
-            this._isUIEnabled = true;
-            this._ignoreNextUIMutation = false;
-            const observerOptions = {
-                attributes: true,
-                attributeFilter: ["style"],
-                subtree: true,
-            };
-            const UIObserver = new MutationObserver(
-                (mutations) => this.UIMutationHandler(mutations)
-            );
-            UIObserver.observe(this.element, observerOptions);
+        /**
+         * @param {typeof Tweak} TweakClass
+         * @returns {boolean} Whether the Tweak is enabled.
+         */
+        isEnabled(TweakClass) {
+            const entry = this.data.tweaks[TweakClass.name];
+            if (!entry || typeof entry.enabled !== "boolean") {
+                return TweakClass.isEnabledByDefault;
+            }
+            return entry.enabled;
+        }
 
-            this.applyEagerTweaks();
-            this.applyTweaks(EVENTS.INIT);
+        setEnabled(TweakClass, enabled) {
+            this.getEntry(TweakClass).enabled = enabled;
+            this.save();
+        }
 
-            return this.proxy;
+        /**
+         * Key bindings set by the user, mapped by action name. Unbound actions
+         * are mapped to null.
+         * @returns {Object<string, ?string>}
+         */
+        getShortcutBindings() {
+            return this.data.shortcuts;
         }
 
-        getHandler(target, prop, receiver) {
-            const proto = Object.getPrototypeOf(target);
-            const isOwnProp = target.hasOwnProperty(prop);
-            const isOwnMethod = proto.hasOwnProperty(prop);
-            if (isOwnProp || isOwnMethod) {
-                // Class default getter.
-                return Reflect.get(...arguments);
-            }
+        setShortcutBinding(actionName, binding) {
+            this.data.shortcuts[actionName] = binding;
+            this.save();
+        }
 
-            // Fallback getter.
-            return Reflect.get(
-                target.element, prop, receiver
-            ).bind(target.element);
+        resetShortcutBinding(actionName) {
+            delete this.data.shortcuts[actionName];
+            this.save();
         }
 
-        UIMutationHandler(mutations) {
-            if (this._ignoreNextUIMutation) {
-                this._ignoreNextUIMutation = false;
-                return;
+        getEntry(TweakClass) {
+            if (!this.data.tweaks[TweakClass.name]) {
+                this.data.tweaks[TweakClass.name] = {
+                    enabled: TweakClass.isEnabledByDefault,
+                    settings: {},
+                };
             }
 
-            const UIElements = this.UIElements;
-            for (const mutation of mutations) {
-                const el = mutation.target;
-                if (!UIElements.includes(el)) continue;
+            return this.data.tweaks[TweakClass.name];
+        }
 
-                el.oldDisplayStyle = el.style.display;
-                if (!this._isUIEnabled) {
-                    el.style.display = "none";
-                }
+        /**
+         * @param {Object<string, SettingSchema>} schema
+         * @param {Object<string, *>} values
+         * @returns {Object<string, *>} Values that match the schema.
+         */
+        static validate(schema, values) {
+            const validValues = {};
+            for (const [name, entry] of Object.entries(schema)) {
+                validValues[name] = SettingsStore.validateValue(
+                    entry, values[name]
+                );
             }
+
+            return validValues;
         }
 
-        applyEagerTweaks() {
-            for (const tweak of this.tweaks) {
-                tweak.onPlayerEagerInit(this.proxy);
-            }
+        static validateValue(entry, value) {
+            const sanitized = SettingsStore.sanitize(entry, value);
+            if (sanitized !== undefined) return sanitized;
+
+            // Defaults are copied so that they cannot be modified by tweaks.
+            return JSON.parse(JSON.stringify(entry.default ?? null));
         }
 
-        applyTweaks(event) {
-            for (const tweak of this.tweaks) {
-                switch (event) {
-                    case EVENTS.INIT:
-                        tweak.onPlayerInit(this.proxy);
-                        break;
-                    case EVENTS.REFRESH:
-                        tweak.onPlayerRefresh(this.proxy);
-                }
+        /**
+         * @returns {*} The sanitized value or undefined if it is invalid.
+         */
+        static sanitize(entry, value) {
+            switch (entry.type) {
+                case SETTING_TYPES.BOOLEAN:
+                case SETTING_TYPES.STRING:
+                    if (typeof value !== entry.type) return;
+                    return value;
+                case SETTING_TYPES.NUMBER:
+                    if (typeof value !== "number" || isNaN(value)) return;
+                    return Math.max(
+                        entry.min ?? -Infinity,
+                        Math.min(entry.max ?? Infinity, value)
+                    );
+                case SETTING_TYPES.ENUM:
+                    if (!entry.values.includes(value)) return;
+                    return value;
+                case SETTING_TYPES.OBJECT:
+                    if (!isPlainObject(value)) return;
+                    return value;
+                case SETTING_TYPES.LIST:
+                    if (!Array.isArray(value)) return;
+                    return value
+                        .map(item => SettingsStore.sanitize(entry.items, item))
+                        .filter(item => item !== undefined);
             }
         }
+    }
 
-        addEventListener(type, listener, options = {}, useCapture = false) {
-            // This is necessary because the player element 'addEventListener'
-            // method is not the native one.
-            const addEventListener = EventTarget.prototype.addEventListener;
-            return addEventListener.bind(this.element)(...arguments);
+    /**
+     * Persists a JSON serializable value in the local storage.
+     */
+    class PersistentStore {
+        /**
+         * @param {string} storageKey Local storage key of the value.
+         * @param {*} defaultValue Value used when none is stored.
+         */
+        constructor(storageKey, defaultValue = {}) {
+            this.storageKey = storageKey;
+            this.defaultValue = defaultValue;
+            this.value = this.load();
+            // Value as last loaded or saved, against which the changes made
+            // in this tab are told apart from the ones made in other tabs.
+            this.savedValue = PersistentStore.copy(this.value);
         }
 
-        get video() {
-            return this.element.getElementsByClassName("video-stream")[0];
+        load() {
+            let value = null;
+            try {
+                value = JSON.parse(localStorage.getItem(this.storageKey));
+            } catch (error) {
+                // Corrupted values are discarded.
+            }
+
+            return value ?? this.copyDefaultValue();
         }
 
-        get controls() {
-            return this.element.getElementsByClassName("ytp-chrome-bottom")[0];
+        /**
+         * Saves the changes made to the value since it was last loaded or
+         * saved. They are merged into the stored value, so that the changes
+         * saved meanwhile by other tabs are kept.
+         */
+        save() {
+            this.value = PersistentStore.merge(
+                this.savedValue, this.value, this.load()
+            );
+            this.write();
         }
 
-        get UIElements() {
-            let UIElements = [...this.element.children];
-            UIElements = UIElements.filter(
-                e => e.className !== "html5-video-container"
+        /**
+         * Changes the up-to-date stored value and saves it. Suited to changes
+         * that depend on the current value, such as incrementing counters.
+         * @param {function(*): void} change Changes the value in place.
+         */
+        update(change) {
+            this.value = PersistentStore.merge(
+                this.savedValue, this.value, this.load()
             );
-            return UIElements;
+            change(this.value);
+            this.write();
         }
 
-        get timeDisplays() {
-            return this.element.getElementsByClassName(
-                "ytp-time-display notranslate"
+        /**
+         * Loads the value saved meanwhile by other tabs, keeping the unsaved
+         * changes made in this one.
+         */
+        reload() {
+            const stored = this.load();
+            this.value = PersistentStore.merge(
+                this.savedValue, this.value, stored
             );
+            this.savedValue = PersistentStore.copy(stored);
         }
 
-        get OSDElement() {
-            return this.element.getElementsByClassName("ytp-bezel-text")[0];
+        clear() {
+            this.value = this.copyDefaultValue();
+            this.write();
         }
 
-        get scrollableElements() {
-            const scrollableSelectors = {
-                MENU: ".ytp-popup.ytp-settings-menu",
-                VOLUME_SLIDER: ".ytp-volume-slider",
-                TIME_DISPLAY: ".ytp-time-display",
-                SIDE_DRAWER: "#iv-drawer",
-            };
-            const selectors = Object.values(scrollableSelectors);
-
-            const scrollableElements = [];
-            for (const selector of selectors) {
-                const element = this.element.querySelector(selector);
-                scrollableElements.push(element);
+        write() {
+            try {
+                localStorage.setItem(
+                    this.storageKey, JSON.stringify(this.value)
+                );
+                this.savedValue = PersistentStore.copy(this.value);
+            } catch (error) {
+                // The storage might be full or unavailable, in which case the
+                // value is only kept in memory.
             }
-
-            return scrollableElements;
         }
 
-        get volume() {
-            return this.element.getVolume();
+        copyDefaultValue() {
+            return PersistentStore.copy(this.defaultValue);
         }
 
-        set volume(value) {
-            // HACK: Workaround to be able to use YouTube's native OSD.
-            // A possibly undesired side effect is that the "volumechange" event
-            // is fired twice every time the volume is changed.
-            const direction = Math.sign(value - this.volume);
-            this.stepVolume(direction);
-
-            this.element.setVolume(value);
+        static copy(value) {
+            return JSON.parse(JSON.stringify(value));
         }
 
-        stepVolume(direction) {
-            const keyCode = (direction === -1) ? 40 : 38;
-            this.element.dispatchEvent(
-                new KeyboardEvent("keydown", { keyCode: keyCode })
+        /**
+         * Merges the local changes of a value into the stored one. Objects
+         * are merged key by key, other values changed locally replace the
+         * stored ones.
+         * @param {*} base Value both changes started from.
+         * @param {*} local Value changed in this tab.
+         * @param {*} stored Value currently in the storage.
+         * @returns {*} The merged value.
+         */
+        static merge(base, local, stored) {
+            if (JSON.stringify(local) === JSON.stringify(base)) return stored;
+
+            const canMergeKeys = (
+                isPlainObject(base) &&
+                isPlainObject(local) &&
+                isPlainObject(stored)
             );
-        }
+            if (!canMergeKeys) return local;
+
+            const merged = {};
+            const keys = new Set([
+                ...Object.keys(base),
+                ...Object.keys(local),
+                ...Object.keys(stored),
+            ]);
+            for (const key of keys) {
+                const value = PersistentStore.merge(
+                    base[key], local[key], stored[key]
+                );
+                if (value !== undefined) {
+                    merged[key] = value;
+                }
+            }
 
-        get playbackRate() {
-            return this.video.playbackRate;
+            return merged;
         }
+    }
 
-        set playbackRate(value) {
-            // Prevents changing playback rate during ads.
-            if (this.element.getAdState() !== -1) return;
+    /**
+     * @typedef {Object} ShortcutAction
+     * @property {string} name Unique name of the action.
+     * @property {string} description Human readable description.
+     * @property {?string} defaultBinding Binding used unless the user sets
+     * another one.
+     * @property {function(TweakedYouTubeApp): void} run Calls the action.
+     * @property {?string} label Label of the button that calls the action
+     * from the settings panel, null if it has none.
+     * @property {?Tweak} tweak Tweak that registered the action.
+     */
 
-            // HACK: Workaround to be able to use YouTube's native OSD.
-            // A possibly undesired side effect is that the "ratechange" event
-            // is fired twice every time the playback rate is changed.
-            const direction = Math.sign(value - this.playbackRate);
-            this.stepPlaybackRate(direction);
-            this.OSDElement.innerText = value + "x";
+    /**
+     * Registry of the actions that can be called via keyboard shortcuts and of
+     * the key bindings that trigger them. A binding is a chord of modifiers and
+     * a key (e.g. "Ctrl+Shift+<") or a sequence of chords separated by spaces
+     * (e.g. "G C"). Bindings set by the user are persisted in the settings
+     * store.
+     */
+    class ShortcutRegistry {
+        /**
+         * @param {SettingsStore} settings Store of the user settings.
+         */
+        constructor(settings) {
+            this.settings = settings;
 
-            this.element.setPlaybackRate(value);
+            /** @type {Map<string, ShortcutAction>} */
+            this.actions = new Map();
         }
 
-        stepPlaybackRate(direction) {
-            const keyCode = (direction === -1) ? 188 : 190;
-            this.element.dispatchEvent(
-                new KeyboardEvent(
-                    "keydown", { keyCode: keyCode, shiftKey: true }
-                )
-            );
+        static get MODIFIERS() {
+            return {
+                Ctrl: "ctrlKey",
+                Alt: "altKey",
+                Shift: "shiftKey",
+                Meta: "metaKey",
+            };
         }
 
-        get playbackQuality() {
-            return this.element.getPlaybackQuality();
+        static get MODIFIER_ALIASES() {
+            return {
+                Control: "Ctrl",
+                Option: "Alt",
+                Cmd: "Meta",
+                Command: "Meta",
+            };
         }
 
-        set playbackQuality(quality) {
-            const availableQualities = this.element.getAvailableQualityLevels();
-            if (!availableQualities.includes(quality)) {
-                // Fallback is the highest available quality.
-                quality = availableQualities[0];
-            }
-            this.element.setPlaybackQualityRange(quality, quality);
+        /**
+         * Chords YouTube responds to on its own.
+         * @type {Array<string>}
+         */
+        static get NATIVE_CHORDS() {
+            return [
+                "Space", "K", "J", "L", "F", "M", "C", "T", "I", "/", ",", ".",
+                "0", "1", "2", "3", "4", "5", "6", "7", "8", "9", "Home", "End",
+                "ArrowLeft", "ArrowRight", "ArrowUp", "ArrowDown", "Escape",
+                "Shift+<", "Shift+>", "Shift+N", "Shift+P", "Shift+?",
+                "Ctrl+ArrowLeft", "Ctrl+ArrowRight",
+            ];
         }
 
-        toggleStatsForNerds() {
-            if (this.element.isVideoInfoVisible()) {
-                this.element.hideVideoInfo();
-            } else {
-                this.element.showVideoInfo();
+        /**
+         * Registers an action so that it can be bound to a shortcut.
+         * @param {string} name Unique name of the action.
+         * @param {Object} action
+         * @param {string} action.description Human readable description.
+         * @param {?string} [action.defaultBinding] Binding used unless the
+         * user sets another one.
+         * @param {function(TweakedYouTubeApp): void} action.run
+         * @param {?string} [action.label] Label of the button that calls the
+         * action from the section of its Tweak in the settings panel, e.g.
+         * for actions that are rarely used and unbound by default.
+         * @param {?Tweak} [action.tweak] Tweak that registered the action.
+         */
+        register(name, {
+            description, defaultBinding = null, run, label = null, tweak = null,
+        }) {
+            if (defaultBinding) {
+                defaultBinding = ShortcutRegistry.normalizeBinding(
+                    defaultBinding
+                );
             }
+            this.actions.set(name, {
+                name, description, defaultBinding, run, label, tweak,
+            });
         }
 
-        // This is purposefully different from the native
-        // hideControls/showControls methods. Those do not toggle all UI
-        // elements, only the controls.
-
-        // BUG: Ad elements that were hidden by the user might show up during
-        // normal playback.
-        toggleUI() {
-            if (this._isUIEnabled) {
-                this.hideUI();
-            } else {
-                this.showUI();
-                this.wakeUpControls();
-            }
+        /**
+         * Removes a registered action. Its user binding is kept so that it is
+         * used again if the action is registered again.
+         * @param {string} name Name of the action.
+         */
+        unregister(name) {
+            this.actions.delete(name);
         }
 
-        hideUI() {
-            this._ignoreNextUIMutation = true;
-            for (const element of this.UIElements) {
-                element.oldDisplayStyle = element.style.display;
-                element.style.display = "none";
-            }
-            this._isUIEnabled = false;
+        /**
+         * @param {string} name Name of the action.
+         * @returns {?string} The binding of the action, null if unbound.
+         */
+        getBinding(name) {
+            const userBindings = this.settings.getShortcutBindings();
+            if (name in userBindings) return userBindings[name];
+
+            return this.actions.get(name).defaultBinding;
         }
 
-        showUI() {
-            this._ignoreNextUIMutation = true;
-            for (const element of this.UIElements) {
-                element.style.display = element.oldDisplayStyle;
-                element.removeAttribute("oldDisplayStyle");
+        /**
+         * Binds an action to a shortcut, throwing if the binding is invalid.
+         * @param {string} name Name of the action.
+         * @param {?string} binding The new binding, null to unbind the action.
+         * @returns {?string} The normalized binding.
+         */
+        setBinding(name, binding) {
+            if (binding) {
+                binding = ShortcutRegistry.normalizeBinding(binding);
             }
-            this._isUIEnabled = true;
-        }
+            this.settings.setShortcutBinding(name, binding || null);
 
-        wakeUpControls() {
-            if (!this.element.wakeUpControls) return;
-            this.element.wakeUpControls();
+            return binding || null;
         }
-    }
 
-    /**
-     * Abstract class representing the interfaces a Tweak can implement to
-     * interact with TweakedYouTubeApp and TweakedYouTubePlayer.
-     * @abstract
-     */
-    class Tweak {
-        constructor() {
-            if (new.target == Tweak) {
-                throw new Error("Abstract classes cannot be instantiated.");
-            }
+        resetBinding(name) {
+            this.settings.resetShortcutBinding(name);
         }
 
         /**
-         * Called on app initialization before all other callbacks. Should only
-         * be used for overriding class methods.
-         * @param {TweakedYouTubeApp} app The app to be tweaked.
+         * @returns {Array<{action: ShortcutAction, binding: string}>}
          */
-        onAppEagerInit(app) { }
+        getBoundActions() {
+            const boundActions = [];
+            for (const action of this.actions.values()) {
+                const binding = this.getBinding(action.name);
+                if (binding) {
+                    boundActions.push({ action, binding });
+                }
+            }
+
+            return boundActions;
+        }
 
         /**
-         * Called on app initialization.
-         * @param {TweakedYouTubeApp} app The app to be tweaked.
+         * @param {string} binding
+         * @returns {ShortcutAction|undefined} The action bound to the binding.
          */
-        onAppInit(app) { }
+        findAction(binding) {
+            const boundAction = this.getBoundActions().find(
+                e => (e.binding === binding)
+            );
+            return boundAction && boundAction.action;
+        }
 
         /**
-         * Called on app refresh (on "yt-visibility-refresh" event).
-         * @param {TweakedYouTubeApp} app The app to be tweaked.
+         * @param {string} sequence
+         * @returns {boolean} Whether a bound sequence starts with the given
+         * one.
          */
-        onAppRefresh(app) { }
+        isPrefix(sequence) {
+            return this.getBoundActions().some(
+                e => e.binding.startsWith(sequence + " ")
+            );
+        }
 
         /**
-         * Called on player initialization before all other callbacks. Should be
-         * used only for overriding class methods.
-         * @param {TweakedYouTubePlayer} player The player to be tweaked.
+         * Describes bindings that conflict with each other or with YouTube's
+         * own shortcuts.
+         * @returns {Array<string>}
          */
-        onPlayerEagerInit(player) { }
+        getConflicts() {
+            const conflicts = [];
+            const boundActions = this.getBoundActions();
+            const nativeChords = ShortcutRegistry.NATIVE_CHORDS;
+
+            for (const [i, { action, binding }] of boundActions.entries()) {
+                for (const other of boundActions.slice(i + 1)) {
+                    if (other.binding === binding) {
+                        conflicts.push(
+                            `"${binding}" is bound to both ` +
+                            `"${action.name}" and "${other.action.name}".`
+                        );
+                    } else if (other.binding.startsWith(binding + " ")) {
+                        conflicts.push(
+                            `"${binding}" prevents "${other.binding}" ` +
+                            `from being used.`
+                        );
+                    } else if (binding.startsWith(other.binding + " ")) {
+                        conflicts.push(
+                            `"${other.binding}" prevents "${binding}" ` +
+                            `from being used.`
+                        );
+                    }
+                }
+
+                // Later chords of a sequence are only captured once the
+                // first one was pressed.
+                const firstChord = binding.split(" ")[0];
+                if (nativeChords.includes(firstChord)) {
+                    conflicts.push(
+                        `"${binding}" overrides YouTube's "${firstChord}" ` +
+                        `shortcut.`
+                    );
+                }
+            }
+
+            return conflicts;
+        }
 
         /**
-         * Called on player initialization.
-         * @param {TweakedYouTubePlayer} player The player to be tweaked.
+         * @param {string} binding e.g. "ctrl+shift+<", "g  c".
+         * @returns {string} The binding in canonical form, e.g.
+         * "Ctrl+Shift+<", "G C".
          */
-        onPlayerInit(player) { }
+        static normalizeBinding(binding) {
+            return binding
+                .trim()
+                .split(/\s+/)
+                .map(chord => ShortcutRegistry.normalizeChord(chord))
+                .join(" ");
+        }
+
+        static normalizeChord(chord) {
+            const parts = chord.split("+");
+            let key = parts.pop();
+            // The "+" key itself, e.g. "Ctrl++".
+            if (key === "" && parts.length) {
+                parts.pop();
+                key = "+";
+            }
+            if (!key) {
+                throw new Error(`Missing key in "${chord}".`);
+            }
+
+            const modifierNames = Object.keys(ShortcutRegistry.MODIFIERS);
+            const aliases = ShortcutRegistry.MODIFIER_ALIASES;
+            const modifiers = new Set();
+            for (const part of parts) {
+                let modifier = ShortcutRegistry.capitalize(part);
+                modifier = aliases[modifier] || modifier;
+                if (!modifierNames.includes(modifier)) {
+                    throw new Error(`Unknown modifier "${part}".`);
+                }
+                modifiers.add(modifier);
+            }
+
+            // Modifiers are always written in the same order.
+            const sortedModifiers = modifierNames.filter(e => modifiers.has(e));
+            return [...sortedModifiers, ShortcutRegistry.capitalize(key)]
+                .join("+");
+        }
 
         /**
-         * Called for every player on app refresh (on "yt-visibility-refresh"
-         * event).
-         * @param {TweakedYouTubePlayer} player The player to be tweaked.
+         * @param {KeyboardEvent} event
+         * @returns {string} The chord pressed, in canonical form.
          */
-        onPlayerRefresh(player) { }
+        static eventToChord(event) {
+            const modifiers = Object.entries(ShortcutRegistry.MODIFIERS)
+                .filter(([, modKey]) => event[modKey])
+                .map(([modName]) => modName);
+            const key = (event.key === " ") ? "Space" : event.key;
 
+            return [...modifiers, ShortcutRegistry.capitalize(key)].join("+");
+        }
 
-        retryOnFail(callback, interval = 500, maxTries = 10) {
-            const success = callback();
-            if (success || maxTries <= 1) return;
-            setTimeout(
-                () => this.retryOnFail(callback, interval, maxTries - 1),
-                interval
-            );
+        static capitalize(str) {
+            return str.charAt(0).toUpperCase() + str.slice(1);
         }
     }
 
     /**
-     * Periodically save the current time as a parameter on the URL.
+     * Modal overlay displayed over the whole page.
      */
-    class SaveProgressOnURL extends Tweak {
+    class Overlay {
         /**
-         * @param {number} updateInterval How often, in milliseconds, the
-         * progress should be saved.
+         * @param {string} title Title shown on the top of the overlay.
          */
-        constructor(updateInterval) {
-            super();
-            this.updateInterval = updateInterval;
+        constructor(title) {
+            this.element = document.createElement("div");
+            this.element.className = "tweaks-overlay";
+            Object.assign(this.element.style, {
+                position: "fixed",
+                inset: "0",
+                zIndex: "10000",
+                display: "flex",
+                alignItems: "center",
+                justifyContent: "center",
+                background: "rgba(0, 0, 0, 0.6)",
+            });
+            this.element.addEventListener("click", (event) => {
+                if (event.target === this.element) this.close();
+            });
+            this.element.addEventListener("keydown", (event) => {
+                if (event.key === "Escape") this.close();
+            });
+
+            this.box = document.createElement("div");
+            this.box.tabIndex = -1;
+            Object.assign(this.box.style, {
+                minWidth: "400px",
+                maxWidth: "90vw",
+                maxHeight: "80vh",
+                overflow: "auto",
+                padding: "16px 24px",
+                borderRadius: "12px",
+                outline: "none",
+                background: "var(--yt-spec-base-background, #fff)",
+                color: "var(--yt-spec-text-primary, #000)",
+                fontFamily: "Roboto, Arial, sans-serif",
+                fontSize: "14px",
+            });
+            this.element.appendChild(this.box);
+
+            const header = document.createElement("div");
+            header.style.display = "flex";
+            header.style.justifyContent = "space-between";
+            header.style.alignItems = "center";
+            const titleElement = document.createElement("h2");
+            titleElement.innerText = title;
+            const closeButton = document.createElement("button");
+            closeButton.innerText = "✕";
+            closeButton.title = "Close";
+            closeButton.addEventListener("click", () => this.close());
+            header.append(titleElement, closeButton);
+
+            this.body = document.createElement("div");
+            this.box.append(header, this.body);
         }
 
-        onAppInit(app) {
-            this.app = app;
-            this.retryOnFail(
-                () => this.bindListeners()
-            );
+        get isOpen() {
+            return this.element.isConnected;
         }
 
-        bindListeners() {
-            if (!this.app.mainPlayer || !this.app.mainPlayer.video) {
-                return false;
-            }
+        open() {
+            document.body.appendChild(this.element);
+            this.box.focus();
+        }
 
-            this.app.mainPlayer.video.addEventListener(
-                "timeupdate",
-                () => { this.progressSaved = false }
-            );
-            setInterval(
-                () => this.saveProgressOnUrl(),
-                this.updateInterval
-            );
+        close() {
+            this.element.remove();
+        }
 
-            return true;
+        toggle() {
+            if (this.isOpen) {
+                this.close();
+            } else {
+                this.open();
+            }
         }
+    }
 
-        saveProgressOnUrl() {
-            if (this.progressSaved) return;
+    /**
+     * Overlay that lists every registered Tweak and allows for enabling,
+     * disabling and configuring them without reloading the page.
+     */
+    class SettingsPanel {
+        /**
+         * @param {TweakedYouTubeApp} app The app whose tweaks are configured.
+         */
+        constructor(app) {
+            this.app = app;
+            this.overlay = new Overlay("YouTube Tweaks");
+            this.menuItemClassName = "tweaks-settings-menuitem";
+        }
 
-            const path = window.location.pathname.split("/");
-            const isWatchPage = (path[1] === "watch");
-            if (!isWatchPage) return;
+        open() {
+            this.render();
+            this.overlay.open();
+        }
 
-            const seconds = "" + Math.floor(
-                this.app.mainPlayer.getCurrentTime()
+        toggle() {
+            if (this.overlay.isOpen) {
+                this.overlay.close();
+            } else {
+                this.open();
+            }
+        }
+
+        render() {
+            this.overlay.body.replaceChildren(
+                ...this.app.registeredTweaks.map(
+                    tweak => this.createTweakSection(tweak)
+                ),
+                this.createShortcutsSection()
             );
-            const newState = this.stateWithUpToDateTime(seconds);
-            window.history.replaceState("", "", newState);
-            this.progressSaved = true;
         }
 
-        stateWithUpToDateTime(seconds) {
-            const location = window.location;
-            const origin = location.origin;
+        createShortcutsSection() {
+            const shortcuts = this.app.shortcuts;
+
+            const section = document.createElement("fieldset");
+            section.style.margin = "8px 0";
+            const legend = document.createElement("legend");
+            legend.innerText = "Keyboard Shortcuts";
+            section.appendChild(legend);
+
+            const conflicts = document.createElement("ul");
+            const updateConflicts = () => {
+                conflicts.replaceChildren(...shortcuts.getConflicts().map(
+                    conflict => {
+                        const item = document.createElement("li");
+                        item.innerText = conflict;
+                        return item;
+                    }
+                ));
+            };
 
-            const newState = location.href.slice(origin.length);
-            const timeQueryRegex = /(\?|\&)t=([0-9]*[a-z])*/g;
-            const urlHasTimeParam = newState.search(timeQueryRegex) !== -1;
-            const urlHasQueries = newState.indexOf("?") !== -1;
+            for (const action of shortcuts.actions.values()) {
+                const input = document.createElement("input");
+                input.value = shortcuts.getBinding(action.name) || "";
+                input.placeholder = "Unbound";
+                input.addEventListener("change", () => {
+                    try {
+                        const binding = shortcuts.setBinding(
+                            action.name, input.value.trim() || null
+                        );
+                        input.value = binding || "";
+                        input.style.outline = "";
+                    } catch (error) {
+                        input.style.outline = "2px solid red";
+                        input.title = error.message;
+                    }
+                    updateConflicts();
+                });
 
-            seconds += "s";
-            if (urlHasTimeParam) {
-                return newState.replace(timeQueryRegex, `$1t=${seconds}`);
-            } else if (urlHasQueries) {
-                return newState + "&t=" + seconds;
-            } else {
-                return newState + "?t=" + seconds;
+                const label = document.createElement("label");
+                label.style.display = "block";
+                label.style.margin = "4px 0";
+                label.append(action.description + ": ", input);
+                section.appendChild(label);
             }
+
+            const resetButton = document.createElement("button");
+            resetButton.innerText = "Reset to defaults";
+            resetButton.addEventListener("click", () => {
+                for (const name of shortcuts.actions.keys()) {
+                    shortcuts.resetBinding(name);
+                }
+                section.replaceWith(this.createShortcutsSection());
+            });
+            section.append(resetButton, conflicts);
+            updateConflicts();
+
+            return section;
         }
-    };
 
-    /**
-     * Adds the ability to control the volume with the mouse wheel by scrolling
-     * over the player.
-     */
-    class MouseWheelVolumeControl extends Tweak {
-        constructor() {
+        createTweakSection(tweak) {
+            const TweakClass = tweak.constructor;
+            const schema = TweakClass.settingsSchema;
+            const settings = this.app.settings.get(TweakClass);
+
+            const section = document.createElement("fieldset");
+            section.style.margin = "8px 0";
+
+            const legend = document.createElement("legend");
+            const enabledLabel = document.createElement("label");
+            const enabledInput = document.createElement("input");
+            enabledInput.type = "checkbox";
+            enabledInput.checked = this.app.tweaks.includes(tweak);
+            enabledInput.addEventListener(
+                "change",
+                () => this.app.setTweakEnabled(tweak, enabledInput.checked)
+            );
+            // e.g. "DefaultPlaybackRate" is shown as "Default Playback Rate".
+            const name = TweakClass.name.replace(/([a-z])([A-Z])/g, "$1 $2");
+            enabledLabel.append(enabledInput, " " + name);
+            legend.appendChild(enabledLabel);
+            section.appendChild(legend);
+
+            const fields = {};
+            for (const [settingName, entry] of Object.entries(schema)) {
+                const field = this.createField(entry, settings[settingName]);
+                field.input.addEventListener(
+                    "change", () => this.changeHandler(tweak, fields)
+                );
+                fields[settingName] = field;
+
+                const label = document.createElement("label");
+                label.style.display = "block";
+                label.style.margin = "4px 0";
+                label.append(
+                    (entry.description || settingName) + ": ", field.input
+                );
+                section.appendChild(label);
+            }
+
+            // Actions of disabled tweaks are not registered.
+            for (const action of this.app.shortcuts.actions.values()) {
+                if (action.tweak !== tweak || !action.label) continue;
+
+                const actionButton = document.createElement("button");
+                actionButton.innerText = action.label;
+                actionButton.title = action.description;
+                actionButton.style.marginRight = "4px";
+                actionButton.addEventListener(
+                    "click", () => action.run(this.app)
+                );
+                section.appendChild(actionButton);
+            }
+
+            if (Object.keys(schema).length) {
+                const resetButton = document.createElement("button");
+                resetButton.innerText = "Reset to defaults";
+                resetButton.addEventListener("click", () => {
+                    this.app.resetTweakSettings(tweak);
+                    section.replaceWith(this.createTweakSection(tweak));
+                });
+                section.appendChild(resetButton);
+            }
+
+            return section;
+        }
+
+        /**
+         * Creates an input element for a setting.
+         * @param {SettingSchema} entry Schema of the setting.
+         * @param {*} value Current value of the setting.
+         * @returns {{input: HTMLElement, getValue: function(): *}} The input
+         * and a function that parses its value, throwing if it is invalid.
+         */
+        createField(entry, value) {
+            let input;
+            switch (entry.type) {
+                case SETTING_TYPES.BOOLEAN:
+                    input = document.createElement("input");
+                    input.type = "checkbox";
+                    input.checked = value;
+                    return { input, getValue: () => input.checked };
+
+                case SETTING_TYPES.NUMBER:
+                    input = document.createElement("input");
+                    input.type = "number";
+                    input.step = "any";
+                    if (entry.min !== undefined) input.min = entry.min;
+                    if (entry.max !== undefined) input.max = entry.max;
+                    input.value = value;
+                    return {
+                        input,
+                        getValue: () => this.parseNumber(input.value),
+                    };
+
+                case SETTING_TYPES.STRING:
+                    input = document.createElement("input");
+                    input.value = value;
+                    return { input, getValue: () => input.value };
+
+                case SETTING_TYPES.ENUM:
+                    input = document.createElement("select");
+                    for (const optionValue of entry.values) {
+                        const option = document.createElement("option");
+                        option.value = option.innerText = optionValue;
+                        input.appendChild(option);
+                    }
+                    input.value = value;
+                    return { input, getValue: () => input.value };
+            }
+
+            const isSimpleList = (
+                entry.type === SETTING_TYPES.LIST &&
+                entry.items.type !== SETTING_TYPES.OBJECT
+            );
+            if (isSimpleList) {
+                const isNumberList = entry.items.type === SETTING_TYPES.NUMBER;
+                input = document.createElement("input");
+                input.value = value.join(", ");
+                return {
+                    input,
+                    getValue: () => input.value
+                        .split(",")
+                        .map(item => item.trim())
+                        .filter(item => item)
+                        .map(item => isNumberList ? this.parseNumber(item) : item),
+                };
+            }
+
+            // Objects and lists of objects are edited as JSON.
+            input = document.createElement("textarea");
+            input.rows = 4;
+            input.cols = 50;
+            input.value = JSON.stringify(value, null, 2);
+            return { input, getValue: () => JSON.parse(input.value) };
+        }
+
+        parseNumber(str) {
+            const number = parseFloat(str);
+            if (isNaN(number)) {
+                throw new Error(`Invalid number: "${str}".`);
+            }
+            return number;
+        }
+
+        changeHandler(tweak, fields) {
+            const settings = {};
+            let isValid = true;
+            for (const [name, field] of Object.entries(fields)) {
+                try {
+                    settings[name] = field.getValue();
+                    field.input.style.outline = "";
+                } catch (error) {
+                    field.input.style.outline = "2px solid red";
+                    isValid = false;
+                }
+            }
+            if (!isValid) return;
+
+            this.app.updateTweakSettings(tweak, settings);
+        }
+
+        /**
+         * Adds an item that opens the panel to the player settings menu.
+         * @param {TweakedYouTubePlayer} player
+         */
+        addMenuItem(player) {
+            const menu = player.element.querySelector(
+                ".ytp-settings-menu .ytp-panel-menu"
+            );
+            if (!menu) return;
+            if (menu.getElementsByClassName(this.menuItemClassName)[0]) return;
+
+            const item = document.createElement("div");
+            item.className = "ytp-menuitem " + this.menuItemClassName;
+            item.setAttribute("role", "menuitem");
+            item.tabIndex = 0;
+            for (const className of ["icon", "label", "content"]) {
+                const child = document.createElement("div");
+                child.className = "ytp-menuitem-" + className;
+                item.appendChild(child);
+            }
+            item.getElementsByClassName("ytp-menuitem-label")[0].innerText = (
+                "Tweaks"
+            );
+            item.addEventListener("click", () => {
+                // Closes the settings menu.
+                player.element.querySelector(".ytp-settings-button").click();
+                this.open();
+            });
+            menu.appendChild(item);
+        }
+    }
+
+    /**
+     * Interface for interacting with and modding the YouTube webpage.
+     */
+    class TweakedYouTubeApp {
+        /**
+         * @param {Array<typeof Tweak>} tweakClasses List of tweaks to be
+         * applied. They are created from the user settings.
+         * @param {SettingsStore} settings Store of the user settings.
+         */
+        constructor(tweakClasses = [], settings = new SettingsStore()) {
+            this.settings = settings;
+            this.shortcuts = new ShortcutRegistry(settings);
+            this.registeredTweaks = tweakClasses.map(
+                TweakClass => TweakClass.fromSettings(settings.get(TweakClass))
+            );
+            // Only enabled tweaks are applied. The same list is shared with
+            // the players.
+            this.tweaks = this.registeredTweaks.filter(
+                tweak => settings.isEnabled(tweak.constructor)
+            );
+            this.settingsPanel = new SettingsPanel(this);
+            // Callbacks subscribed to the app and player events, mapped by
+            // event.
+            this.listeners = new Map();
+
+            // A single YouTube webpage can often have more than one active
+            // player at once (e.g. main video player, miniplayer, channel home
+            // screen player).
+            this.players = [];
+            this.pageType = this.detectPageType();
+
+            this.applyEagerTweaks();
+            this.applyTweaks(EVENTS.INIT);
+            this.updatePlayers();
+            window.addEventListener(
+                "yt-visibility-refresh",
+                this.refreshHandler.bind(this)
+            );
+            // Fired when YouTube's single-page navigation finishes.
+            window.addEventListener(
+                "yt-navigate-finish",
+                this.navigateHandler.bind(this)
+            );
+        }
+
+        applyEagerTweaks() {
+            for (const tweak of this.tweaks) {
+                callHook(tweak, "onAppEagerInit", this);
+            }
+        }
+
+        applyTweaks(event) {
+            for (const tweak of this.tweaks) {
+                switch (event) {
+                    case EVENTS.INIT:
+                        callHook(tweak, "onAppInit", this);
+                        break;
+                    case EVENTS.REFRESH:
+                        callHook(tweak, "onAppRefresh", this);
+                        break;
+                    case EVENTS.PAGE_CHANGE:
+                        callHook(tweak, "onPageChange", this, this.pageType);
+                        break;
+                }
+            }
+
+            this.emit(event, { app: this, pageType: this.pageType });
+        }
+
+        /**
+         * Subscribes a callback to an app or player event. App events are
+         * notified with { app, pageType } and player events with
+         * { app, player }.
+         * @param {EVENTS} event
+         * @param {function(Object)} callback
+         */
+        on(event, callback) {
+            if (!Object.values(EVENTS).includes(event)) {
+                throw new Error(`Unknown event: ${event}`);
+            }
+
+            if (!this.listeners.has(event)) {
+                this.listeners.set(event, new Set());
+            }
+            this.listeners.get(event).add(callback);
+        }
+
+        /**
+         * Unsubscribes a callback from an event.
+         * @param {EVENTS} event
+         * @param {function(Object)} callback
+         */
+        off(event, callback) {
+            const callbacks = this.listeners.get(event);
+            if (callbacks) callbacks.delete(callback);
+        }
+
+        emit(event, detail) {
+            const callbacks = this.listeners.get(event);
+            if (!callbacks) return;
+
+            for (const callback of [...callbacks]) {
+                try {
+                    callback(detail);
+                } catch (error) {
+                    reportError(error, { event: event });
+                }
+            }
+        }
+
+        updatePlayers() {
+            this.removeDetachedPlayers();
+
+            const players = document.getElementsByClassName(
+                "html5-video-player"
+            );
+            for (const element of players) {
+                const isNew = !this.players.find(e => (e.element === element));
+                if (isNew) {
+                    const player = new TweakedYouTubePlayer(
+                        element, this.tweaks,
+                        (event, player) => this.emit(event, {
+                            app: this,
+                            player: player,
+                        })
+                    );
+                    this.players.push(player);
+                    this.settingsPanel.addMenuItem(player);
+                }
+            }
+        }
+
+        /**
+         * Removes the players whose element left the page, so that they are
+         * no longer tweaked nor kept in memory.
+         */
+        removeDetachedPlayers() {
+            const detachedPlayers = this.players.filter(
+                player => !player.element.isConnected
+            );
+            for (const player of detachedPlayers) {
+                this.players.splice(this.players.indexOf(player), 1);
+                player.dispose();
+            }
+        }
+
+        refreshHandler() {
+            this.updatePlayers();
+
+            this.applyTweaks(EVENTS.REFRESH);
+            for (const player of this.players) {
+                player.applyTweaks(EVENTS.REFRESH);
+                this.settingsPanel.addMenuItem(player);
+            }
+        }
+
+        toggleSettingsPanel() {
+            this.settingsPanel.toggle();
+        }
+
+        /**
+         * Enables or disables a registered tweak without a page reload. A
+         * disabled tweak is destroyed, which reverts what it applied to the
+         * page and the players.
+         * @param {Tweak} tweak
+         * @param {boolean} enabled
+         */
+        setTweakEnabled(tweak, enabled) {
+            this.settings.setEnabled(tweak.constructor, enabled);
+
+            const isEnabled = this.tweaks.includes(tweak);
+            if (enabled && !isEnabled) {
+                this.startTweak(tweak);
+            } else if (!enabled && isEnabled) {
+                this.stopTweak(tweak);
+            }
+        }
+
+        /**
+         * Registers a Tweak after the app has started. Unless the user
+         * disabled it, it is applied right away to the app and to the
+         * existing players.
+         * @param {typeof Tweak} TweakClass
+         * @returns {Tweak} The registered Tweak.
+         */
+        registerTweak(TweakClass) {
+            if (!(TweakClass.prototype instanceof Tweak)) {
+                throw new Error("Only Tweak subclasses can be registered.");
+            }
+
+            const registeredTweak = this.registeredTweaks.find(
+                tweak => tweak.constructor === TweakClass
+            );
+            if (registeredTweak) return registeredTweak;
+
+            // Settings are stored by class name.
+            const isNameTaken = this.registeredTweaks.some(
+                tweak => tweak.constructor.name === TweakClass.name
+            );
+            if (isNameTaken) {
+                throw new Error(
+                    `A Tweak named ${TweakClass.name} is already registered.`
+                );
+            }
+
+            const tweak = TweakClass.fromSettings(
+                this.settings.get(TweakClass)
+            );
+            this.registeredTweaks.push(tweak);
+            if (this.settings.isEnabled(TweakClass)) {
+                this.startTweak(tweak);
+            }
+
+            return tweak;
+        }
+
+        startTweak(tweak) {
+            // Tweaks are kept in registration order.
+            this.tweaks.push(tweak);
+            this.tweaks.sort((a, b) => (
+                this.registeredTweaks.indexOf(a) -
+                this.registeredTweaks.indexOf(b)
+            ));
+
+            callHook(tweak, "onAppEagerInit", this);
+            callHook(tweak, "onAppInit", this);
+            for (const player of this.players) {
+                callHook(tweak, "onPlayerEagerInit", player);
+                callHook(tweak, "onPlayerInit", player);
+            }
+        }
+
+        stopTweak(tweak) {
+            this.tweaks.splice(this.tweaks.indexOf(tweak), 1);
+
+            for (const player of this.players) {
+                callHook(tweak, "onPlayerDestroy", player);
+            }
+            callHook(tweak, "onAppDestroy", this);
+            callHook(tweak, "releaseResources");
+        }
+
+        /**
+         * Stores new settings of a tweak and applies them without a page
+         * reload.
+         * @param {Tweak} tweak
+         * @param {Object<string, *>} settings
+         */
+        updateTweakSettings(tweak, settings) {
+            const TweakClass = tweak.constructor;
+            tweak.applySettings(this.settings.set(TweakClass, settings));
+            if (this.tweaks.includes(tweak)) {
+                callHook(tweak, "onSettingsChange", this);
+            }
+        }
+
+        resetTweakSettings(tweak) {
+            const TweakClass = tweak.constructor;
+            this.settings.reset(TweakClass);
+            tweak.applySettings(this.settings.get(TweakClass));
+            if (this.tweaks.includes(tweak)) {
+                callHook(tweak, "onSettingsChange", this);
+            }
+        }
+
+        navigateHandler() {
+            this.updatePlayers();
+
+            this.pageType = this.detectPageType();
+            this.applyTweaks(EVENTS.PAGE_CHANGE);
+            for (const player of this.players) {
+                player.updateVideoId();
+            }
+        }
+
+        detectPageType() {
+            const path = window.location.pathname.split("/");
+            switch (path[1]) {
+                case "watch":
+                    return PAGE_TYPES.WATCH;
+                case "shorts":
+                    return PAGE_TYPES.SHORTS;
+                case "results":
+                    return PAGE_TYPES.SEARCH;
+                case "":
+                case "feed":
+                    return PAGE_TYPES.FEED;
+                case "channel":
+                case "c":
+                case "user":
+                    return PAGE_TYPES.CHANNEL;
+            }
+
+            // Channel handles (e.g. "/@YouTube").
+            if (path[1].startsWith("@")) return PAGE_TYPES.CHANNEL;
+
+            return PAGE_TYPES.OTHER;
+        }
+
+        get mainPlayer() {
+            for (const player of this.players) {
+                if (player.matches("#movie_player")) {
+                    return player;
+                }
+            }
+        }
+
+        /**
+         * The player that user actions apply to.
+         * @type {TweakedYouTubePlayer|undefined}
+         */
+        get activePlayer() {
+            return this.focusedPlayer || this.mainPlayer;
+        }
+
+        get focusedPlayer() {
+            for (const player of this.players) {
+                if (player.contains(document.activeElement)) {
+                    return player;
+                }
+            }
+        }
+
+        focusNextPlayer() {
+            const numberOfPlayers = this.players.length;
+            if (!numberOfPlayers) return;
+
+            let focusedPlayerIdx = this.players.indexOf(this.focusedPlayer);
+            focusedPlayerIdx = (focusedPlayerIdx + 1) % numberOfPlayers;
+            const player = this.players[focusedPlayerIdx];
+            player.focus();
+            // Players are hard to tell apart when cycling through them.
+            player.highlight();
+        }
+    }
+
+    /**
+     * Audio graphs mapped by the media element they route. Players can wrap
+     * an element that another player already routed, and YouTube reuses
+     * elements across navigations. The audio of an element cannot be routed
+     * again once its context is closed, so graphs are never closed and are
+     * dropped along with their element instead.
+     * @type {WeakMap<HTMLMediaElement, AudioGraph>}
+     */
+    const audioGraphs = new WeakMap();
+
+    /**
+     * Routes the audio of a media element through a chain of Web Audio nodes.
+     */
+    class AudioGraph {
+        /**
+         * @param {HTMLMediaElement} media Element whose audio is routed.
+         */
+        constructor(media) {
+            this.context = new AudioContext();
+            this.source = this.context.createMediaElementSource(media);
+            this.nodes = [];
+            this.analysers = [];
+            this.connect();
+
+            // Audio contexts might be suspended until the page is interacted
+            // with.
+            media.addEventListener("play", () => this.context.resume());
+        }
+
+        /**
+         * Gets the graph of a media element, which is created the first time.
+         * @param {HTMLMediaElement} media
+         * @returns {AudioGraph}
+         */
+        static of(media) {
+            if (!audioGraphs.has(media)) {
+                audioGraphs.set(media, new AudioGraph(media));
+            }
+            return audioGraphs.get(media);
+        }
+
+
+        /**
+         * Replaces the processing nodes between the source and the output.
+         * @param {Array<AudioNode>} nodes Nodes to be connected in order.
+         */
+        setNodes(nodes) {
+            this.disconnect();
+            this.nodes = nodes;
+            this.connect();
+        }
+
+        /**
+         * Creates an analyser of the unprocessed audio.
+         * @returns {AnalyserNode}
+         */
+        createAnalyser() {
+            const analyser = this.context.createAnalyser();
+            this.source.connect(analyser);
+            this.analysers.push(analyser);
+
+            return analyser;
+        }
+
+        /**
+         * Disconnects an analyser created with createAnalyser.
+         * @param {AnalyserNode} analyser
+         */
+        removeAnalyser(analyser) {
+            const idx = this.analysers.indexOf(analyser);
+            if (idx === -1) return;
+
+            this.analysers.splice(idx, 1);
+            this.source.disconnect(analyser);
+        }
+
+        connect() {
+            let previousNode = this.source;
+            for (const node of this.nodes) {
+                previousNode.connect(node);
+                previousNode = node;
+            }
+            previousNode.connect(this.context.destination);
+
+            for (const analyser of this.analysers) {
+                this.source.connect(analyser);
+            }
+        }
+
+        disconnect() {
+            this.source.disconnect();
+            for (const node of this.nodes) {
+                node.disconnect();
+            }
+        }
+    }
+
+    /**
+     * Interface for interacting with and modding the YouTube player.
+     * @extends {NativeYouTubePlayer}
+     */
+    class TweakedYouTubePlayer {
+        /**
+         * @param {HTMLDivElement} player Div containing the YouTube player.
+         * @param {Array<Tweaks>} tweaks List of tweaks to be applied.
+         * @param {function(EVENTS, TweakedYouTubePlayer)} [onEvent] Called
+         * after the tweaks are applied on each player event.
+         */
+        constructor(player, tweaks = [], onEvent = () => {}) {
+            this.element = player;
+            this.tweaks = tweaks;
+            this.onEvent = onEvent;
+
+            // Proxy is used so that the class can act as an extension of the
+            // player element.
+            this.proxy = new Proxy(this, { get: this.getHandler });
+
+            // Monitors changes to the UI elements so that the proper display
+            // style can be set when toggling the UI.
+            this._isUIEnabled = true;
+            this._ignoreNextUIMutation = false;
+            const observerOptions = {
+                attributes: true,
+                attributeFilter: ["style"],
+                subtree: true,
+            };
+            this._UIObserver = new MutationObserver(
+                (mutations) => this.UIMutationHandler(mutations)
+            );
+            this._UIObserver.observe(this.element, observerOptions);
+
+            // Own properties have to be defined up front, otherwise the proxy
+            // looks them up on the player element.
+            this._OSDTimeout = undefined;
+            this._highlightTimeout = undefined;
+
+            // A-B loop of the current video.
+            this.loop = null;
+            this._loopRangeId = undefined;
+            this.addEventListener(
+                "timeupdate", () => this.loopHandler(), true
+            );
+
+            // Segments of the current video, such as sponsor reads, which can
+            // be skipped automatically.
+            this.segments = [];
+            this._onSegmentSkip = undefined;
+            this._lastSkippedSegment = null;
+            this._segmentOverlayIds = [];
+            this.addEventListener(
+                "timeupdate", () => this.segmentHandler(), true
+            );
+
+            // Markers and ranges drawn over the progress bar, mapped by id.
+            // They are drawn again whenever YouTube re-renders the progress
+            // bar or the duration changes.
+            this._overlays = new Map();
+            this._nextOverlayId = 1;
+            this._overlayProgressBar = null;
+            this._overlayDuration = undefined;
+            this._overlayTooltip = null;
+            this._overlayObserver = new MutationObserver(
+                () => this.updateOverlays()
+            );
+            this._overlayObserver.observe(this.element, {
+                childList: true,
+                subtree: true,
+            });
+            this.addEventListener(
+                "durationchange", () => this.updateOverlays(), true
+            );
+            this.addEventListener(
+                "mousemove", (event) => this.overlayHoverHandler(event)
+            );
+            this.addEventListener(
+                "mouseleave", () => this.hideOverlayTooltip()
+            );
+
+            // Tracks temporary playback rate overrides. Rate changes that do
+            // not come from an override are made by the user and end it.
+            this._playbackRateOverride = undefined;
+            this._basePlaybackRate = undefined;
+            this.addEventListener(
+                "ratechange", () => this.rateChangeHandler(), true
+            );
+
+            // Playback rate and volume last set automatically by tweaks, as
+            // opposed to by the user, mapped by setting. Media events are
+            // fired asynchronously, so listeners compare the current values
+            // against these to tell the changes apart.
+            this._automaticValues = {};
+
+            // Caps of the quality set by the quality policy, mapped by name.
+            this._qualityLimits = new Map();
+            this.addEventListener(
+                "volumechange",
+                () => this.automaticValueChangeHandler("volume"),
+                true
+            );
+
+            // Monitors the ad state so that tweaks can be notified when ads
+            // start, end or are overlaid on the video.
+            this.adState = this.detectAdState();
+            this._adObserver = new MutationObserver(
+                () => this.updateAdState()
+            );
+            this._adObserver.observe(this.element, {
+                attributes: true,
+                attributeFilter: ["class"],
+                childList: true,
+                subtree: true,
+            });
+
+            // Tracks the loaded video so that tweaks can be notified when a
+            // new one is loaded in the same player (e.g. single-page
+            // navigation, playlist autoplay, miniplayer hand-off).
+            // Media events do not bubble, so they are captured instead.
+            this.videoId = this.detectVideoId();
+            this.previousVideoId = undefined;
+            this.addEventListener(
+                "loadeddata", () => this.updateVideoId(), true
+            );
+
+            this.applyEagerTweaks();
+            this.applyTweaks(EVENTS.INIT);
+
+            return this.proxy;
+        }
+
+        getHandler(target, prop, receiver) {
+            const proto = Object.getPrototypeOf(target);
+            const isOwnProp = target.hasOwnProperty(prop);
+            const isOwnMethod = proto.hasOwnProperty(prop);
+            if (isOwnProp || isOwnMethod) {
+                // Class default getter.
+                return Reflect.get(...arguments);
+            }
+
+            // Fallback getter.
+            return Reflect.get(
+                target.element, prop, receiver
+            ).bind(target.element);
+        }
+
+        UIMutationHandler(mutations) {
+            if (this._ignoreNextUIMutation) {
+                this._ignoreNextUIMutation = false;
+                return;
+            }
+
+            const UIElements = this.UIElements;
+            for (const mutation of mutations) {
+                const el = mutation.target;
+                if (!UIElements.includes(el)) continue;
+
+                el.oldDisplayStyle = el.style.display;
+                if (!this._isUIEnabled) {
+                    el.style.display = "none";
+                }
+            }
+        }
+
+        detectAdState() {
+            const isAdPlaying = (
+                this.element.classList.contains("ad-showing") ||
+                this.element.getAdState() !== -1
+            );
+            if (isAdPlaying) return AD_STATES.AD;
+
+            const overlayCloseButton = this.element.querySelector(
+                ".ytp-ad-overlay-close-button"
+            );
+            if (overlayCloseButton && overlayCloseButton.offsetParent) {
+                return AD_STATES.OVERLAY;
+            }
+
+            return AD_STATES.NONE;
+        }
+
+        updateAdState() {
+            const adState = this.detectAdState();
+            if (adState === this.adState) return;
+
+            this.adState = adState;
+            this.applyTweaks(EVENTS.AD_STATE_CHANGE);
+
+            // The video might have changed while the ad was playing.
+            this.updateVideoId();
+        }
+
+        detectVideoId() {
+            if (!this.element.getVideoData) return;
+
+            const videoData = this.element.getVideoData();
+            return videoData ? videoData.video_id : undefined;
+        }
+
+        updateVideoId() {
+            // The video data belongs to the ad while it is playing.
+            if (this.adState === AD_STATES.AD) return;
+
+            const videoId = this.detectVideoId();
+            if (!videoId || videoId === this.videoId) return;
+
+            this.previousVideoId = this.videoId;
+            this.videoId = videoId;
+            this.clearLoop();
+            this.setSegments([]);
+            // Overlays belong to the previous video.
+            this.clearOverlays();
+            this.applyTweaks(EVENTS.VIDEO_CHANGE);
+        }
+
+        applyEagerTweaks() {
+            for (const tweak of this.tweaks) {
+                callHook(tweak, "onPlayerEagerInit", this.proxy);
+            }
+        }
+
+        applyTweaks(event) {
+            for (const tweak of this.tweaks) {
+                switch (event) {
+                    case EVENTS.INIT:
+                        callHook(tweak, "onPlayerInit", this.proxy);
+                        break;
+                    case EVENTS.REFRESH:
+                        callHook(tweak, "onPlayerRefresh", this.proxy);
+                        break;
+                    case EVENTS.AD_STATE_CHANGE:
+                        callHook(
+                            tweak, "onPlayerAdStateChange",
+                            this.proxy, this.adState
+                        );
+                        break;
+                    case EVENTS.VIDEO_CHANGE:
+                        callHook(
+                            tweak, "onVideoChange",
+                            this.proxy, this.videoId, this.previousVideoId
+                        );
+                        break;
+                    case EVENTS.REMOVE:
+                        callHook(tweak, "onPlayerRemoved", this.proxy);
+                        break;
+                }
+            }
+
+            this.onEvent(event, this.proxy);
+        }
+
+        /**
+         * Stops monitoring the player and notifies the tweaks. Called once
+         * its element has left the page.
+         */
+        dispose() {
+            this._UIObserver.disconnect();
+            this._adObserver.disconnect();
+            this._overlayObserver.disconnect();
+            clearTimeout(this._OSDTimeout);
+            clearTimeout(this._highlightTimeout);
+            this.applyTweaks(EVENTS.REMOVE);
+
+            for (const tweak of this.tweaks) {
+                callHook(tweak, "releaseResources", this.element);
+            }
+        }
+
+        /**
+         * Briefly outlines the player.
+         * @param {number} [duration] Time, in milliseconds, the outline is
+         * shown for.
+         */
+        highlight(duration = 1000) {
+            clearTimeout(this._highlightTimeout);
+            Object.assign(this.element.style, {
+                outline: "3px solid #3ea6ff",
+                outlineOffset: "-3px",
+            });
+            this._highlightTimeout = setTimeout(() => {
+                this.element.style.outline = "";
+                this.element.style.outlineOffset = "";
+            }, duration);
+        }
+
+        addEventListener(type, listener, options = {}, useCapture = false) {
+            // This is necessary because the player element 'addEventListener'
+            // method is not the native one.
+            const addEventListener = EventTarget.prototype.addEventListener;
+            return addEventListener.bind(this.element)(...arguments);
+        }
+
+        /**
+         * Details of the current video, such as its videoId, title, author
+         * and channelId.
+         * @type {Object<string, *>}
+         */
+        get videoDetails() {
+            if (!this.element.getPlayerResponse) return {};
+
+            const playerResponse = this.element.getPlayerResponse();
+            return (playerResponse && playerResponse.videoDetails) || {};
+        }
+
+        get video() {
+            return this.element.getElementsByClassName("video-stream")[0];
+        }
+
+        get controls() {
+            return this.element.getElementsByClassName("ytp-chrome-bottom")[0];
+        }
+
+        get UIElements() {
+            let UIElements = [...this.element.children];
+            UIElements = UIElements.filter(
+                e => e.className !== "html5-video-container"
+            );
+            return UIElements;
+        }
+
+        get timeDisplays() {
+            return this.element.getElementsByClassName(
+                "ytp-time-display notranslate"
+            );
+        }
+
+        get OSDElement() {
+            return this.element.getElementsByClassName("ytp-bezel-text")[0];
+        }
+
+        /**
+         * Briefly shows a text on YouTube's native OSD.
+         * @param {string} text Text to be shown.
+         * @param {number} duration How long, in milliseconds, the text should
+         * be shown.
+         */
+        showOSD(text, duration = 1000) {
+            const OSDElement = this.OSDElement;
+            if (!OSDElement) return;
+
+            // The OSD is shown and hidden by YouTube through the display style
+            // of its container, which is one of the UI elements.
+            const container = this.UIElements.find(e => e.contains(OSDElement));
+            if (!container) return;
+            const textHide = OSDElement.closest(".ytp-bezel-text-hide");
+            const icon = container.getElementsByClassName("ytp-bezel")[0];
+
+            OSDElement.innerText = text;
+            if (textHide) textHide.classList.remove("ytp-bezel-text-hide");
+            if (icon) icon.style.visibility = "hidden";
+            container.style.display = "";
+
+            clearTimeout(this._OSDTimeout);
+            this._OSDTimeout = setTimeout(() => {
+                container.style.display = "none";
+                if (icon) icon.style.visibility = "";
+            }, duration);
+        }
+
+        get scrollableElements() {
+            const scrollableSelectors = {
+                MENU: ".ytp-popup.ytp-settings-menu",
+                VOLUME_SLIDER: ".ytp-volume-slider",
+                TIME_DISPLAY: ".ytp-time-display",
+                SIDE_DRAWER: "#iv-drawer",
+            };
+            const selectors = Object.values(scrollableSelectors);
+
+            const scrollableElements = [];
+            for (const selector of selectors) {
+                const element = this.element.querySelector(selector);
+                scrollableElements.push(element);
+            }
+
+            return scrollableElements;
+        }
+
+        get volume() {
+            return this.element.getVolume();
+        }
+
+        set volume(value) {
+            // HACK: Workaround to be able to use YouTube's native OSD.
+            // A possibly undesired side effect is that the "volumechange" event
+            // is fired twice every time the volume is changed.
+            const direction = Math.sign(value - this.volume);
+            this.stepVolume(direction);
+
+            this.element.setVolume(value);
+        }
+
+        stepVolume(direction) {
+            const keyCode = (direction === -1) ? 40 : 38;
+            this.element.dispatchEvent(
+                new KeyboardEvent("keydown", { keyCode: keyCode })
+            );
+        }
+
+        get playbackRate() {
+            // Overrides are not reported so that tweaks keep seeing the rate
+            // chosen by the user.
+            if (this._playbackRateOverride !== undefined) {
+                return this._basePlaybackRate;
+            }
+            return this.video.playbackRate;
+        }
+
+        /**
+         * Temporarily plays the video at a different rate, which is not
+         * reported by playbackRate.
+         * @param {number} rate
+         */
+        overridePlaybackRate(rate) {
+            if (this._playbackRateOverride === undefined) {
+                this._basePlaybackRate = this.video.playbackRate;
+            }
+            this._playbackRateOverride = rate;
+            this.video.playbackRate = rate;
+        }
+
+        clearPlaybackRateOverride() {
+            if (this._playbackRateOverride === undefined) return;
+
+            this._playbackRateOverride = undefined;
+            this.video.playbackRate = this._basePlaybackRate;
+        }
+
+        get isPlaybackRateOverridden() {
+            return this._playbackRateOverride !== undefined;
+        }
+
+        rateChangeHandler() {
+            this.automaticValueChangeHandler("playbackRate");
+
+            const rate = this.video.playbackRate;
+            if (this._playbackRateOverride === undefined) return;
+            if (rate === this._playbackRateOverride) return;
+
+            this._basePlaybackRate = rate;
+            this._playbackRateOverride = undefined;
+        }
+
+        /**
+         * Changes the playback rate or volume on behalf of a tweak rather
+         * than the user, so that the change is not mistaken for a user
+         * preference.
+         * @param {"playbackRate"|"volume"} setting
+         * @param {function(): void} change Changes the setting synchronously.
+         */
+        changeAutomatically(setting, change) {
+            change();
+            this._automaticValues[setting] = this[setting];
+        }
+
+        /**
+         * @param {"playbackRate"|"volume"} setting
+         * @returns {boolean} Whether the current value of the setting was set
+         * automatically by a tweak.
+         */
+        isAutomaticChange(setting) {
+            return this._automaticValues[setting] === this[setting];
+        }
+
+        automaticValueChangeHandler(setting) {
+            // YouTube changes the playback rate and volume during ads and
+            // restores them afterwards.
+            if (this.adState === AD_STATES.AD) return;
+            if (this.isAutomaticChange(setting)) return;
+
+            delete this._automaticValues[setting];
+        }
+
+        set playbackRate(value) {
+            // Prevents changing playback rate during ads.
+            if (this.adState === AD_STATES.AD) return;
+
+            // HACK: Workaround to be able to use YouTube's native OSD.
+            // A possibly undesired side effect is that the "ratechange" event
+            // is fired twice every time the playback rate is changed.
+            const direction = Math.sign(value - this.playbackRate);
+            this.stepPlaybackRate(direction);
+            this.OSDElement.innerText = value + "x";
+
+            this.element.setPlaybackRate(value);
+        }
+
+        stepPlaybackRate(direction) {
+            const keyCode = (direction === -1) ? 188 : 190;
+            this.element.dispatchEvent(
+                new KeyboardEvent(
+                    "keydown", { keyCode: keyCode, shiftKey: true }
+                )
+            );
+        }
+
+        get playbackQuality() {
+            return this.element.getPlaybackQuality();
+        }
+
+        /**
+         * Highest quality the quality policy may set, i.e. the lowest of the
+         * quality limits.
+         * @type {QUALITY_LEVELS}
+         */
+        get qualityLimit() {
+            let limit = QUALITY_LEVELS.AUTO;
+            for (const quality of this._qualityLimits.values()) {
+                limit = lowerQuality(limit, quality);
+            }
+            return limit;
+        }
+
+        /**
+         * Limits the quality set by the quality policy, e.g. while the video
+         * is only being listened to. Limits are named so that they can be
+         * removed independently. A "qualitylimitchange" event is fired on the
+         * player whenever the limits change.
+         * @param {string} name
+         * @param {QUALITY_LEVELS} quality
+         */
+        setQualityLimit(name, quality) {
+            if (this._qualityLimits.get(name) === quality) return;
+
+            this._qualityLimits.set(name, quality);
+            this.element.dispatchEvent(new CustomEvent("qualitylimitchange"));
+        }
+
+        /**
+         * @param {string} name Name the limit was set with.
+         */
+        removeQualityLimit(name) {
+            if (!this._qualityLimits.delete(name)) return;
+
+            this.element.dispatchEvent(new CustomEvent("qualitylimitchange"));
+        }
+
+        set playbackQuality(quality) {
+            const availableQualities = this.element.getAvailableQualityLevels();
+            if (!availableQualities.includes(quality)) {
+                // Fallback is the highest available quality below the
+                // requested one, or the lowest one if there is none.
+                const height = QUALITY_HEIGHTS[quality] || Infinity;
+                const lowerQualities = availableQualities.filter(
+                    level => QUALITY_HEIGHTS[level] <= height
+                );
+                quality = lowerQualities[0] ||
+                    availableQualities[availableQualities.length - 1];
+            }
+            if (!quality) return;
+
+            this.element.setPlaybackQualityRange(quality, quality);
+        }
+
+        /**
+         * Chapters of the current video, sorted by start time. They are read
+         * from the progress bar chapter segments and, as a fallback, from the
+         * timestamps in the video description.
+         * @type {Array<{start: number, title: string}>}
+         */
+        get chapters() {
+            const segmentStarts = this.chapterSegmentStarts;
+            const descriptionChapters = this.descriptionChapters;
+
+            // Description timestamps are more precise than segment widths.
+            const descriptionMatches = (
+                descriptionChapters.length === segmentStarts.length
+            );
+            if (!segmentStarts.length || descriptionMatches) {
+                return descriptionChapters;
+            }
+
+            return segmentStarts.map((start, i) => ({
+                start: start,
+                title: `Chapter ${i + 1}`,
+            }));
+        }
+
+        get chapterSegmentStarts() {
+            const segments = this.element.querySelectorAll(
+                ".ytp-chapters-container .ytp-chapter-hover-container"
+            );
+            // Videos without chapters have a single segment.
+            if (segments.length < 2) return [];
+
+            const widths = [...segments].map(e => parseFloat(e.style.width));
+            const totalWidth = widths.reduce((a, b) => a + b, 0);
+            if (!totalWidth) return [];
+
+            const duration = this.element.getDuration();
+            const starts = [];
+            let accumulatedWidth = 0;
+            for (const width of widths) {
+                starts.push(duration * accumulatedWidth / totalWidth);
+                accumulatedWidth += width;
+            }
+
+            return starts;
+        }
+
+        get descriptionChapters() {
+            // Only the main player has its video description on the page.
+            if (!this.element.matches("#movie_player")) return [];
+
+            const description = document.querySelector(
+                "ytd-watch-metadata #description, #description"
+            );
+            if (!description) return [];
+
+            const timestampRegexes = [
+                // e.g. "01:23 Title", "(1:02:03) - Title".
+                /^\W*?\(?((?:\d+:)?\d{1,2}:\d{2})\)?\s*[-–:|]?\s*(.+)$/,
+                // e.g. "Title - 01:23".
+                /^(.+?)\s*[-–:|]?\s*\(?((?:\d+:)?\d{1,2}:\d{2})\)?$/,
+            ];
+
+            const chapters = [];
+            for (const line of description.innerText.split("\n")) {
+                const [leading, trailing] = timestampRegexes.map(
+                    regex => line.trim().match(regex)
+                );
+                let time, title;
+                if (leading) {
+                    [, time, title] = leading;
+                } else if (trailing) {
+                    [, title, time] = trailing;
+                } else {
+                    continue;
+                }
+
+                chapters.push({
+                    start: EffectiveTimeDisplay.displayFormatToSecs(time),
+                    title: title.trim(),
+                });
+            }
+
+            // Chapters have to start at the beginning of the video.
+            chapters.sort((a, b) => a.start - b.start);
+            if (chapters.length < 2 || chapters[0].start !== 0) return [];
+
+            return chapters;
+        }
+
+        get currentChapter() {
+            const currentTime = this.element.getCurrentTime();
+            const chapters = this.chapters;
+
+            let currentChapter;
+            for (const chapter of chapters) {
+                if (chapter.start > currentTime) break;
+                currentChapter = chapter;
+            }
+
+            return currentChapter;
+        }
+
+        nextChapter() {
+            const currentTime = this.element.getCurrentTime();
+            const nextChapter = this.chapters.find(
+                chapter => (chapter.start > currentTime + 0.5)
+            );
+            if (!nextChapter) return;
+
+            this.jumpToChapter(nextChapter);
+        }
+
+        previousChapter() {
+            const chapters = this.chapters;
+            const currentChapter = this.currentChapter;
+            if (!currentChapter) return;
+
+            // Like the native "previous" button, the first press restarts the
+            // current chapter unless it has just started.
+            const currentTime = this.element.getCurrentTime();
+            const idx = chapters.indexOf(currentChapter);
+            if (currentTime - currentChapter.start > 3 || idx === 0) {
+                this.jumpToChapter(currentChapter);
+            } else {
+                this.jumpToChapter(chapters[idx - 1]);
+            }
+        }
+
+        jumpToChapter(chapter) {
+            this.element.seekTo(chapter.start, true);
+            this.showOSD(chapter.title, 1500);
+        }
+
+        /**
+         * Sets the start (A) of the A-B loop. Looping only begins once the end
+         * is set.
+         * @param {number} time Time, in seconds.
+         */
+        setLoopStart(time) {
+            this.loop = {
+                start: time,
+                end: undefined,
+                repeat: 0,
+                count: 0,
+                onRepeat: undefined,
+            };
+            this.drawLoopRange();
+        }
+
+        /**
+         * Sets the end (B) of the A-B loop and starts looping.
+         * @param {number} time Time, in seconds.
+         * @param {Object} [options]
+         * @param {number} [options.repeat] Number of repetitions, 0 to repeat
+         * forever.
+         * @param {function(number): void} [options.onRepeat] Called with the
+         * repetition count whenever the loop repeats.
+         */
+        setLoopEnd(time, { repeat = 0, onRepeat } = {}) {
+            const start = this.loop ? this.loop.start : 0;
+            this.loop = {
+                start: Math.min(start, time),
+                end: Math.max(start, time),
+                repeat: repeat,
+                count: 0,
+                onRepeat: onRepeat,
+            };
+            this.drawLoopRange();
+        }
+
+        clearLoop() {
+            this.loop = null;
+            this.drawLoopRange();
+        }
+
+        loopHandler() {
+            const loop = this.loop;
+            if (!loop || loop.end === undefined) return;
+            if (this.adState === AD_STATES.AD) return;
+            if (this.element.getCurrentTime() < loop.end) return;
+
+            if (loop.repeat && loop.count >= loop.repeat) {
+                this.clearLoop();
+                return;
+            }
+
+            loop.count++;
+            this.element.seekTo(loop.start, true);
+            if (loop.onRepeat) loop.onRepeat(loop.count);
+        }
+
+        drawLoopRange() {
+            this.removeOverlay(this._loopRangeId);
+            this._loopRangeId = undefined;
+            if (!this.loop) return;
+
+            const end = (this.loop.end === undefined) ?
+                this.loop.start : this.loop.end;
+            this._loopRangeId = this.addRange(this.loop.start, end, {
+                label: "A-B loop",
+                color: "rgba(62, 166, 255, 0.6)",
+                className: "tweaks-loop-range",
+            });
+        }
+
+        /**
+         * Sets the segments of the current video and draws them on the
+         * progress bar.
+         * @param {Array<Object>} segments
+         * @param {number} segments[].start Start, in seconds.
+         * @param {number} segments[].end End, in seconds.
+         * @param {string} segments[].category SponsorBlock category.
+         * @param {boolean} segments[].autoSkip Whether the segment is skipped
+         * when played.
+         * @param {function(Object): void} [onSkip] Called with each segment
+         * that is skipped.
+         */
+        setSegments(segments, onSkip) {
+            this.segments = segments.map(segment => ({ ...segment }));
+            this._onSegmentSkip = onSkip;
+            this._lastSkippedSegment = null;
+            this.drawSegments();
+        }
+
+        segmentHandler() {
+            if (this.adState === AD_STATES.AD) return;
+
+            const time = this.element.getCurrentTime();
+            // The margin keeps segments from being skipped again when the
+            // seek lands right before their end.
+            const segment = this.segments.find(segment => (
+                segment.autoSkip && !segment.isIgnored &&
+                time >= segment.start && time < segment.end - 0.5
+            ));
+            if (!segment) return;
+
+            this.element.seekTo(segment.end, true);
+            this._lastSkippedSegment = segment;
+            if (this._onSegmentSkip) this._onSegmentSkip(segment);
+        }
+
+        /**
+         * Returns to the start of the last skipped segment, which is then no
+         * longer skipped until the video changes.
+         * @returns {?Object} The segment, or null if none was skipped.
+         */
+        undoSegmentSkip() {
+            const segment = this._lastSkippedSegment;
+            if (!segment) return null;
+
+            segment.isIgnored = true;
+            this._lastSkippedSegment = null;
+            this.element.seekTo(segment.start, true);
+
+            return segment;
+        }
+
+        drawSegments() {
+            for (const id of this._segmentOverlayIds) {
+                this.removeOverlay(id);
+            }
+
+            this._segmentOverlayIds = this.segments.map(
+                segment => this.addRange(segment.start, segment.end, {
+                    label: segment.category,
+                    color: SEGMENT_CATEGORIES[segment.category] || "#ffffff",
+                    className: "tweaks-segment",
+                })
+            );
+        }
+
+        /**
+         * Draws a marker over the progress bar.
+         * @param {number} time Time, in seconds.
+         * @param {Object} [options] Same as the options of addRange.
+         * @returns {number} Id of the marker, used to remove it.
+         */
+        addMarker(time, options = {}) {
+            return this.addRange(time, time, options);
+        }
+
+        /**
+         * Draws a range over the progress bar. Overlays are removed when the
+         * video changes.
+         * @param {number} start Start of the range, in seconds.
+         * @param {number} end End of the range, in seconds.
+         * @param {Object} [options]
+         * @param {string} [options.label] Tooltip shown when hovering the
+         * range on the progress bar.
+         * @param {string} [options.color] CSS color of the range.
+         * @param {string} [options.className] Class name of the range
+         * element.
+         * @returns {number} Id of the range, used to remove it.
+         */
+        addRange(start, end, {
+            label = "", color = "#ffffff", className = "tweaks-overlay",
+        } = {}) {
+            const id = this._nextOverlayId++;
+            const overlay = {
+                start, end, label, color, className, element: null,
+            };
+            this._overlays.set(id, overlay);
+            this.drawOverlay(overlay);
+
+            return id;
+        }
+
+        /**
+         * @param {number} [id] Id of the marker or range. Unknown ids are
+         * ignored.
+         */
+        removeOverlay(id) {
+            const overlay = this._overlays.get(id);
+            if (!overlay) return;
+
+            if (overlay.element) overlay.element.remove();
+            this._overlays.delete(id);
+        }
+
+        clearOverlays() {
+            for (const id of [...this._overlays.keys()]) {
+                this.removeOverlay(id);
+            }
+            this.hideOverlayTooltip();
+        }
+
+        /**
+         * Draws the overlays again if the progress bar was re-rendered or the
+         * duration of the video changed.
+         */
+        updateOverlays() {
+            if (!this._overlays.size) return;
+
+            const progressBar = this.element.querySelector(".ytp-progress-bar");
+            const duration = this.element.getDuration();
+            const isUpToDate = (
+                progressBar === this._overlayProgressBar &&
+                duration === this._overlayDuration &&
+                [...this._overlays.values()].every(
+                    overlay => overlay.element &&
+                        overlay.element.parentNode === progressBar
+                )
+            );
+            if (isUpToDate) return;
+
+            for (const overlay of this._overlays.values()) {
+                this.drawOverlay(overlay);
+            }
+        }
+
+        drawOverlay(overlay) {
+            if (overlay.element) overlay.element.remove();
+            overlay.element = null;
+
+            const progressBar = this.element.querySelector(".ytp-progress-bar");
+            const duration = this.element.getDuration();
+            this._overlayProgressBar = progressBar;
+            this._overlayDuration = duration;
+            // The overlay is drawn once the duration is known.
+            if (!progressBar || !duration) return;
+
+            const element = document.createElement("div");
+            element.className = overlay.className;
+            Object.assign(element.style, {
+                position: "absolute",
+                bottom: "0",
+                height: "100%",
+                // Markers are drawn with a minimum width so they are visible.
+                minWidth: "2px",
+                left: `${100 * overlay.start / duration}%`,
+                width: `${100 * (overlay.end - overlay.start) / duration}%`,
+                background: overlay.color,
+                pointerEvents: "none",
+                zIndex: "40",
+            });
+            progressBar.appendChild(element);
+            overlay.element = element;
+        }
+
+        overlayHoverHandler(event) {
+            const progressBar = this._overlayProgressBar;
+            const container = progressBar && progressBar.parentElement;
+            if (!container || !event.composedPath().includes(container)) {
+                this.hideOverlayTooltip();
+                return;
+            }
+
+            // Overlays don't catch the mouse so that the progress bar can
+            // still be used under them, so they are hit tested here instead.
+            const rect = progressBar.getBoundingClientRect();
+            const duration = this.element.getDuration();
+            const x = event.clientX - rect.left;
+            const time = duration * x / rect.width;
+            const tolerance = duration * 4 / rect.width;
+            const labels = [...this._overlays.values()]
+                .filter(overlay => overlay.label && (
+                    time >= overlay.start - tolerance &&
+                    time <= overlay.end + tolerance
+                ))
+                .map(overlay => overlay.label);
+            if (!labels.length) {
+                this.hideOverlayTooltip();
+                return;
+            }
+
+            if (!this._overlayTooltip) {
+                this._overlayTooltip = document.createElement("div");
+                this._overlayTooltip.className = "tweaks-overlay-tooltip";
+                Object.assign(this._overlayTooltip.style, {
+                    position: "absolute",
+                    bottom: "16px",
+                    transform: "translateX(-50%)",
+                    padding: "2px 6px",
+                    borderRadius: "2px",
+                    background: "rgba(28, 28, 28, 0.9)",
+                    color: "#fff",
+                    fontSize: "12px",
+                    whiteSpace: "pre",
+                    pointerEvents: "none",
+                    zIndex: "70",
+                });
+            }
+            const tooltip = this._overlayTooltip;
+            tooltip.innerText = labels.join("\n");
+            tooltip.style.left = `${x}px`;
+            if (tooltip.parentNode !== progressBar) {
+                progressBar.appendChild(tooltip);
+            }
+        }
+
+        hideOverlayTooltip() {
+            if (this._overlayTooltip) this._overlayTooltip.remove();
+        }
+
+        /**
+         * Web Audio graph the audio of the video is routed through. The audio
+         * of a media element can only be routed once, so the graph is shared.
+         * @type {AudioGraph}
+         */
+        get audioGraph() {
+            return AudioGraph.of(this.video);
+        }
+
+        /**
+         * Seeks relative to the current time and shows the new time and the
+         * offset on the OSD.
+         * @param {number} seconds Offset, negative to seek backwards.
+         */
+        seekBy(seconds) {
+            const duration = this.element.getDuration();
+            const time = Math.max(0, Math.min(
+                duration, this.element.getCurrentTime() + seconds
+            ));
+            this.element.seekTo(time, true);
+
+            const sign = (seconds < 0) ? "−" : "+";
+            this.showOSD(
+                EffectiveTimeDisplay.secsToDisplayFormat(time) +
+                ` (${sign}${Math.abs(seconds)}s)`
+            );
+        }
+
+        /**
+         * Pauses the video and steps a single frame.
+         * @param {number} direction 1 to step forwards, -1 backwards.
+         */
+        stepFrame(direction) {
+            this.element.pauseVideo();
+
+            const frameRate = this.frameRate;
+            const time = Math.max(
+                0, this.element.getCurrentTime() + direction / frameRate
+            );
+            this.element.seekTo(time, true);
+
+            const hundredths = Math.floor((time % 1) * 100);
+            const sign = (direction < 0) ? "−" : "+";
+            this.showOSD(
+                EffectiveTimeDisplay.secsToDisplayFormat(time) + "." +
+                String(hundredths).padStart(2, "0") +
+                ` (${sign}1 frame @ ${frameRate}fps)`
+            );
+        }
+
+        /**
+         * Frame rate of the video as reported in stats for nerds, 30 if
+         * unknown.
+         * @type {number}
+         */
+        get frameRate() {
+            // The resolution is reported as e.g. "1920x1080@60".
+            const frameRateRegex = /\d+x\d+@(\d+)/;
+
+            let stats = "";
+            if (this.element.getStatsForNerds) {
+                stats = JSON.stringify(this.element.getStatsForNerds());
+            }
+            const match = frameRateRegex.exec(stats);
+
+            return match ? parseInt(match[1]) : 30;
+        }
+
+        /**
+         * Captures the current frame at the native resolution of the video
+         * as a PNG named after the video title and the current time.
+         * @param {Object} [options]
+         * @param {boolean} [options.save] Whether to save the frame to a file.
+         * @param {boolean} [options.copyToClipboard] Whether to copy the frame
+         * to the clipboard.
+         * @param {function(?Blob): void} [callback] Called with the captured
+         * frame, or null if there was no frame to capture.
+         */
+        captureFrame(
+            { save = true, copyToClipboard = false } = {},
+            callback = () => {}
+        ) {
+            const video = this.video;
+            if (!video || !video.videoWidth || this.adState === AD_STATES.AD) {
+                callback(null);
+                return;
+            }
+
+            const canvas = document.createElement("canvas");
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            // Only the video frame is drawn, never the player UI on top of it,
+            // so there is no need to hide the UI (hideUI) before capturing.
+            canvas.getContext("2d").drawImage(video, 0, 0);
+
+            const time = this.element.getCurrentTime();
+            const title = this.videoDetails.title || "YouTube";
+            const timestamp = EffectiveTimeDisplay.secsToDisplayFormat(time);
+            const filename = `${title} ${timestamp.replace(/:/g, "-")}.png`;
+
+            canvas.toBlob((blob) => {
+                if (blob && save) downloadFile(blob, filename);
+                if (blob && copyToClipboard) this.copyImageToClipboard(blob);
+                if (blob) this.showOSD(`Captured frame at ${timestamp}`);
+
+                callback(blob);
+            }, "image/png");
+        }
+
+        /**
+         * Captures a frame at the start of each chapter and then returns to
+         * where the video was.
+         * @param {Object} [options] Same as the options of captureFrame.
+         * Frames are never copied to the clipboard, since only the last one
+         * would be kept.
+         * @param {function(Array<Blob>): void} [callback] Called with the
+         * captured frames once all chapters are done.
+         */
+        captureChapterFrames(options = {}, callback = () => {}) {
+            const chapters = this.chapters;
+            if (!chapters.length) {
+                this.showOSD("No chapters to capture");
+                return;
+            }
+
+            const video = this.video;
+            const initialTime = this.element.getCurrentTime();
+            const wasPaused = video.paused;
+            this.element.pauseVideo();
+
+            const frames = [];
+            const captureNext = (idx) => {
+                if (idx >= chapters.length) {
+                    this.element.seekTo(initialTime, true);
+                    if (!wasPaused) this.element.playVideo();
+                    this.showOSD(`Captured ${frames.length} chapter frames`);
+                    callback(frames);
+                    return;
+                }
+
+                // The frame can only be drawn once the seek has finished.
+                // Chapters whose seek does not finish in time are skipped so
+                // that a stalled seek does not hang the capture.
+                let seekTimeout;
+                const seekedHandler = () => {
+                    clearTimeout(seekTimeout);
+                    video.removeEventListener("seeked", seekedHandler);
+                    const frameOptions = { ...options, copyToClipboard: false };
+                    this.captureFrame(frameOptions, (blob) => {
+                        if (blob) frames.push(blob);
+                        captureNext(idx + 1);
+                    });
+                };
+                video.addEventListener("seeked", seekedHandler);
+                seekTimeout = setTimeout(() => {
+                    video.removeEventListener("seeked", seekedHandler);
+                    captureNext(idx + 1);
+                }, 5000);
+                this.element.seekTo(chapters[idx].start, true);
+            };
+            captureNext(0);
+        }
+
+        copyImageToClipboard(blob) {
+            if (!navigator.clipboard || !window.ClipboardItem) {
+                this.showOSD("Copying images is not supported");
+                return;
+            }
+
+            const item = new ClipboardItem({ [blob.type]: blob });
+            navigator.clipboard.write([item]).catch(
+                () => this.showOSD("Could not copy frame to clipboard")
+            );
+        }
+
+        toggleStatsForNerds() {
+            if (this.element.isVideoInfoVisible()) {
+                this.element.hideVideoInfo();
+            } else {
+                this.element.showVideoInfo();
+            }
+        }
+
+        // This is purposefully different from the native
+        // hideControls/showControls methods. Those do not toggle all UI
+        // elements, only the controls.
+
+        // BUG: Ad elements that were hidden by the user might show up during
+        // normal playback.
+        toggleUI() {
+            if (this._isUIEnabled) {
+                this.hideUI();
+            } else {
+                this.showUI();
+                this.wakeUpControls();
+            }
+        }
+
+        get isUIEnabled() {
+            return this._isUIEnabled;
+        }
+
+        hideUI() {
+            this._ignoreNextUIMutation = true;
+            for (const element of this.UIElements) {
+                element.oldDisplayStyle = element.style.display;
+                element.style.display = "none";
+            }
+            this._isUIEnabled = false;
+        }
+
+        showUI() {
+            this._ignoreNextUIMutation = true;
+            for (const element of this.UIElements) {
+                element.style.display = element.oldDisplayStyle;
+                element.removeAttribute("oldDisplayStyle");
+            }
+            this._isUIEnabled = true;
+        }
+
+        wakeUpControls() {
+            if (!this.element.wakeUpControls) return;
+            this.element.wakeUpControls();
+        }
+    }
+
+    /**
+     * Abstract class representing the interfaces a Tweak can implement to
+     * interact with TweakedYouTubeApp and TweakedYouTubePlayer.
+     * @abstract
+     */
+    class Tweak {
+        constructor() {
+            if (new.target == Tweak) {
+                throw new Error("Abstract classes cannot be instantiated.");
+            }
+
+            // What the Tweak adds to the page through the tracking helpers is
+            // released when the Tweak is destroyed.
+            this._resources = {
+                listeners: [],
+                intervals: new Set(),
+                timeouts: new Set(),
+                observers: [],
+                elements: new Set(),
+                cleanups: [],
+            };
+        }
+
+        /**
+         * User configurable settings of the Tweak, mapped by name. Unless
+         * applySettings is overridden, each setting is assigned to the Tweak
+         * property of the same name.
+         * @type {Object<string, SettingSchema>}
+         */
+        static get settingsSchema() {
+            return {};
+        }
+
+        /**
+         * Whether the Tweak is enabled unless the user chooses otherwise.
+         * @type {boolean}
+         */
+        static get isEnabledByDefault() {
+            return true;
+        }
+
+        /**
+         * Creates the Tweak from the user settings.
+         * @param {Object<string, *>} settings Settings matching the schema.
+         * @returns {Tweak}
+         */
+        static fromSettings(settings) {
+            const tweak = new this();
+            tweak.applySettings(settings);
+            return tweak;
+        }
+
+        /**
+         * Applies the user settings to the Tweak.
+         * @param {Object<string, *>} settings Settings matching the schema.
+         */
+        applySettings(settings) {
+            const schema = this.constructor.settingsSchema;
+            for (const name of Object.keys(schema)) {
+                if (name in settings) {
+                    this[name] = settings[name];
+                }
+            }
+        }
+
+        /**
+         * Called on app initialization before all other callbacks. Should only
+         * be used for overriding class methods.
+         * @param {TweakedYouTubeApp} app The app to be tweaked.
+         */
+        onAppEagerInit(app) { }
+
+        /**
+         * Called on app initialization.
+         * @param {TweakedYouTubeApp} app The app to be tweaked.
+         */
+        onAppInit(app) { }
+
+        /**
+         * Called after the user settings of the Tweak are changed at runtime.
+         * @param {TweakedYouTubeApp} app The tweaked app.
+         */
+        onSettingsChange(app) { }
+
+        /**
+         * Called on app refresh (on "yt-visibility-refresh" event).
+         * @param {TweakedYouTubeApp} app The app to be tweaked.
+         */
+        onAppRefresh(app) { }
+
+        /**
+         * Called when the app navigates to a new page (on "yt-navigate-finish"
+         * event).
+         * @param {TweakedYouTubeApp} app The app to be tweaked.
+         * @param {PAGE_TYPES} pageType Type of the new page.
+         */
+        onPageChange(app, pageType) { }
+
+        /**
+         * Called on player initialization before all other callbacks. Should be
+         * used only for overriding class methods.
+         * @param {TweakedYouTubePlayer} player The player to be tweaked.
+         */
+        onPlayerEagerInit(player) { }
+
+        /**
+         * Called on player initialization.
+         * @param {TweakedYouTubePlayer} player The player to be tweaked.
+         */
+        onPlayerInit(player) { }
+
+        /**
+         * Called for every player on app refresh (on "yt-visibility-refresh"
+         * event).
+         * @param {TweakedYouTubePlayer} player The player to be tweaked.
+         */
+        onPlayerRefresh(player) { }
+
+        /**
+         * Called when the ad state of a player changes.
+         * @param {TweakedYouTubePlayer} player The player to be tweaked.
+         * @param {AD_STATES} state The new ad state of the player.
+         */
+        onPlayerAdStateChange(player, state) { }
+
+        /**
+         * Called when a new video is loaded in a player.
+         * @param {TweakedYouTubePlayer} player The player to be tweaked.
+         * @param {string} videoId Id of the new video.
+         * @param {string} [previousVideoId] Id of the previous video.
+         */
+        onVideoChange(player, videoId, previousVideoId) { }
+
+        /**
+         * Called when a player is removed because its element left the page.
+         * State kept for the player should be released.
+         * @param {TweakedYouTubePlayer} player The removed player.
+         */
+        onPlayerRemoved(player) { }
+
+        /**
+         * Called for every player when the Tweak is disabled at runtime,
+         * before onAppDestroy. Should revert the changes to the player that
+         * are not tracked, such as overridden methods.
+         * @param {TweakedYouTubePlayer} player The tweaked player.
+         */
+        onPlayerDestroy(player) { }
+
+        /**
+         * Called when the Tweak is disabled at runtime. Should revert the
+         * changes to the app that are not tracked. Tracked resources are
+         * released afterwards.
+         * @param {TweakedYouTubeApp} app The tweaked app.
+         */
+        onAppDestroy(app) { }
+
+        retryOnFail(callback, interval = 500, maxTries = 10) {
+            const success = callback();
+            if (success || maxTries <= 1) return;
+            this.addTimeout(
+                () => this.retryOnFail(callback, interval, maxTries - 1),
+                interval
+            );
+        }
+
+        /**
+         * Adds an event listener which is removed when the Tweak is
+         * destroyed.
+         * @param {EventTarget|TweakedYouTubePlayer} target
+         * @param {string} type
+         * @param {function(Event): void} listener
+         * @param {boolean|Object} [options]
+         */
+        addListener(target, type, listener, options = false) {
+            // The player element 'addEventListener' method is not the native
+            // one.
+            if (target instanceof TweakedYouTubePlayer) {
+                target = target.element;
+            }
+
+            EventTarget.prototype.addEventListener.call(
+                target, type, listener, options
+            );
+            this._resources.listeners.push({ target, type, listener, options });
+        }
+
+        /**
+         * Removes an event listener added with addListener.
+         * @param {EventTarget|TweakedYouTubePlayer} target
+         * @param {string} type
+         * @param {function(Event): void} listener
+         * @param {boolean|Object} [options]
+         */
+        removeListener(target, type, listener, options = false) {
+            if (target instanceof TweakedYouTubePlayer) {
+                target = target.element;
+            }
+
+            EventTarget.prototype.removeEventListener.call(
+                target, type, listener, options
+            );
+            this._resources.listeners = this._resources.listeners.filter(
+                entry => !(
+                    entry.target === target &&
+                    entry.type === type &&
+                    entry.listener === listener
+                )
+            );
+        }
+
+        /**
+         * Calls back with the audio graph of a player once it is available.
+         * The graph is only created after the page is interacted with, since
+         * audio routed through a suspended context would be muted.
+         * @param {TweakedYouTubePlayer} player
+         * @param {function(AudioGraph): void} callback
+         */
+        requestAudioGraph(player, callback) {
+            const isActive = (
+                !navigator.userActivation ||
+                navigator.userActivation.hasBeenActive
+            );
+            if (isActive) {
+                callback(player.audioGraph);
+                return;
+            }
+
+            const activationHandler = () => {
+                this.removeListener(
+                    window, "pointerdown", activationHandler, true
+                );
+                this.removeListener(
+                    window, "keydown", activationHandler, true
+                );
+                // The player might have been removed in the meantime.
+                if (!player.element.isConnected) return;
+
+                callback(player.audioGraph);
+            };
+            this.addListener(window, "pointerdown", activationHandler, true);
+            this.addListener(window, "keydown", activationHandler, true);
+        }
+
+        /**
+         * Starts an interval which is cleared when the Tweak is destroyed.
+         * @param {function(): void} callback
+         * @param {number} delay
+         * @returns {number} Id of the interval.
+         */
+        addInterval(callback, delay) {
+            const id = setInterval(callback, delay);
+            this._resources.intervals.add(id);
+            return id;
+        }
+
+        removeInterval(id) {
+            clearInterval(id);
+            this._resources.intervals.delete(id);
+        }
+
+        /**
+         * Starts a timeout which is cleared when the Tweak is destroyed.
+         * @param {function(): void} callback
+         * @param {number} delay
+         * @returns {number} Id of the timeout.
+         */
+        addTimeout(callback, delay) {
+            const id = setTimeout(() => {
+                this._resources.timeouts.delete(id);
+                callback();
+            }, delay);
+            this._resources.timeouts.add(id);
+            return id;
+        }
+
+        removeTimeout(id) {
+            clearTimeout(id);
+            this._resources.timeouts.delete(id);
+        }
+
+        /**
+         * Observes mutations of a node until the Tweak is destroyed.
+         * @param {Node} target
+         * @param {function(Array<MutationRecord>): void} callback
+         * @param {MutationObserverInit} options
+         * @returns {MutationObserver}
+         */
+        addObserver(target, callback, options) {
+            const observer = new MutationObserver(callback);
+            observer.observe(target, options);
+            this._resources.observers.push({ target, observer });
+            return observer;
+        }
+
+        /**
+         * Tracks an element injected into the page so that it is removed when
+         * the Tweak is destroyed.
+         * @param {HTMLElement} element
+         * @returns {HTMLElement} The same element.
+         */
+        addElement(element) {
+            this._resources.elements.add(element);
+            return element;
+        }
+
+        /**
+         * Adds a callback which is called when the Tweak is destroyed, for
+         * changes the other helpers cannot revert.
+         * @param {function(): void} callback
+         */
+        addCleanup(callback) {
+            this._resources.cleanups.push(callback);
+        }
+
+        /**
+         * Registers shortcut actions which are unregistered when the Tweak is
+         * destroyed.
+         * @param {TweakedYouTubeApp} app
+         * @param {Object<string, Object>} actions Actions, mapped by name, in
+         * the format of ShortcutRegistry.register.
+         */
+        addActions(app, actions) {
+            for (const [name, action] of Object.entries(actions)) {
+                app.shortcuts.register(name, { ...action, tweak: this });
+                this.addCleanup(() => app.shortcuts.unregister(name));
+            }
+        }
+
+        /**
+         * Releases the tracked resources of the Tweak.
+         * @param {Node} [container] If set, only the listeners, observers and
+         * elements inside of it are released (e.g. the ones of a removed
+         * player).
+         */
+        releaseResources(container) {
+            const resources = this._resources;
+            const isReleased = (target) => !container || (
+                target instanceof Node && container.contains(target)
+            );
+
+            resources.listeners = resources.listeners.filter((entry) => {
+                if (!isReleased(entry.target)) return true;
+
+                EventTarget.prototype.removeEventListener.call(
+                    entry.target, entry.type, entry.listener, entry.options
+                );
+                return false;
+            });
+            resources.observers = resources.observers.filter((entry) => {
+                if (!isReleased(entry.target)) return true;
+
+                entry.observer.disconnect();
+                return false;
+            });
+            for (const element of resources.elements) {
+                if (!isReleased(element)) continue;
+
+                element.remove();
+                resources.elements.delete(element);
+            }
+            if (container) return;
+
+            for (const id of resources.intervals) {
+                clearInterval(id);
+            }
+            for (const id of resources.timeouts) {
+                clearTimeout(id);
+            }
+            resources.intervals.clear();
+            resources.timeouts.clear();
+
+            // Cleanups are called in reverse order, since later changes might
+            // depend on earlier ones.
+            const cleanups = resources.cleanups.reverse();
+            resources.cleanups = [];
+            for (const cleanup of cleanups) {
+                cleanup();
+            }
+        }
+    }
+
+    /**
+     * Periodically saves the progress of the main player, both as a parameter
+     * on the URL and per video in the local storage. Saved progress is
+     * restored when the video is opened again, unless the URL already sets a
+     * time or the video was nearly finished.
+     */
+    class SaveProgressOnURL extends Tweak {
+        /**
+         * @param {number} updateInterval How often, in milliseconds, the
+         * progress should be saved.
+         */
+        constructor(updateInterval) {
+            super();
+            this.updateInterval = updateInterval;
+            this.saveOnURL = true;
+            this.resume = true;
+            this.expiryDays = 30;
+            this.finishedMargin = 60;
+
+            // Saved progress, mapped by video id.
+            this.resumeStore = new PersistentStore(
+                "YouTubeTweaks.resumePositions"
+            );
+        }
+
+        static get settingsSchema() {
+            return {
+                updateInterval: {
+                    type: SETTING_TYPES.NUMBER,
+                    default: 5000,
+                    min: 1000,
+                    description: "How often, in milliseconds, the progress " +
+                        "is saved",
+                },
+                saveOnURL: {
+                    type: SETTING_TYPES.BOOLEAN,
+                    default: true,
+                    description: "Save the progress on the URL",
+                },
+                resume: {
+                    type: SETTING_TYPES.BOOLEAN,
+                    default: true,
+                    description: "Save the progress of each video and " +
+                        "resume it when the video is opened again",
+                },
+                expiryDays: {
+                    type: SETTING_TYPES.NUMBER,
+                    default: 30,
+                    min: 1,
+                    description: "Days after which the saved progress of a " +
+                        "video is forgotten",
+                },
+                finishedMargin: {
+                    type: SETTING_TYPES.NUMBER,
+                    default: 60,
+                    min: 0,
+                    description: "Seconds before the end of a video after " +
+                        "which it is considered finished and not resumed",
+                },
+            };
+        }
+
+        onAppInit(app) {
+            this.app = app;
+            this.removeExpiredProgress();
+            this.addActions(app, {
+                clearResumeHistory: {
+                    description: "Forgets the saved progress of every video",
+                    label: "Clear resume history",
+                    run: () => this.clearResumeHistory(),
+                },
+            });
+            this.retryOnFail(
+                () => this.bindListeners()
+            );
+        }
+
+        onPlayerInit(player) {
+            this.resumeProgress(player);
+        }
+
+        onPlayerAdStateChange(player, state) {
+            if (state === AD_STATES.AD || !this.isResumePending) return;
+
+            this.resumeProgress(player);
+        }
+
+        onVideoChange(player) {
+            this.resumeProgress(player);
+        }
+
+        bindListeners() {
+            if (!this.app.mainPlayer || !this.app.mainPlayer.video) {
+                return false;
+            }
+
+            this.addListener(
+                this.app.mainPlayer.video,
+                "timeupdate",
+                () => { this.progressSaved = false }
+            );
+            this.startInterval();
+
+            return true;
+        }
+
+        onSettingsChange(app) {
+            if (this.intervalId === undefined) return;
+
+            this.removeInterval(this.intervalId);
+            this.startInterval();
+        }
+
+        onAppDestroy(app) {
+            this.intervalId = undefined;
+        }
+
+        startInterval() {
+            this.intervalId = this.addInterval(
+                () => this.saveProgress(),
+                this.updateInterval
+            );
+        }
+
+        saveProgress() {
+            if (this.progressSaved) return;
+            if (this.app.mainPlayer.adState === AD_STATES.AD) return;
+
+            if (this.saveOnURL) {
+                this.saveProgressOnUrl();
+            }
+            if (this.resume) {
+                this.saveProgressOnStore();
+            }
+            this.progressSaved = true;
+        }
+
+        saveProgressOnUrl() {
+            const path = window.location.pathname.split("/");
+            const isWatchPage = (path[1] === "watch");
+            if (!isWatchPage) return;
+
+            const seconds = "" + Math.floor(
+                this.app.mainPlayer.getCurrentTime()
+            );
+            const newState = this.stateWithUpToDateTime(seconds);
+            window.history.replaceState("", "", newState);
+        }
+
+        saveProgressOnStore() {
+            const player = this.app.mainPlayer;
+            const videoId = player.videoId;
+            if (!videoId) return;
+
+            const time = Math.floor(player.getCurrentTime());
+            const duration = player.getDuration();
+            const positions = this.resumeStore.value;
+
+            // Finished videos are started over when opened again.
+            if (duration - time < this.finishedMargin) {
+                delete positions[videoId];
+            } else {
+                positions[videoId] = { time: time, updated: Date.now() };
+            }
+            this.resumeStore.save();
+        }
+
+        resumeProgress(player) {
+            if (!this.resume || !player.matches("#movie_player")) return;
+
+            // The progress can only be restored once the ad ends.
+            this.isResumePending = (player.adState === AD_STATES.AD);
+            if (this.isResumePending) return;
+
+            const params = new URLSearchParams(window.location.search);
+            if (params.has("t")) return;
+
+            const saved = this.resumeStore.value[player.videoId];
+            if (!saved || !saved.time) return;
+
+            player.element.seekTo(saved.time, true);
+            player.showOSD(
+                "Resumed at " +
+                EffectiveTimeDisplay.secsToDisplayFormat(saved.time)
+            );
+        }
+
+        removeExpiredProgress() {
+            const expiryTime = Date.now() - this.expiryDays * 86400000;
+            const positions = this.resumeStore.value;
+            for (const [videoId, saved] of Object.entries(positions)) {
+                if (saved.updated < expiryTime) {
+                    delete positions[videoId];
+                }
+            }
+            this.resumeStore.save();
+        }
+
+        clearResumeHistory() {
+            this.resumeStore.clear();
+
+            const player = this.app.activePlayer;
+            if (player) {
+                player.showOSD("Progress history cleared");
+            }
+        }
+
+        stateWithUpToDateTime(seconds) {
+            const location = window.location;
+            const origin = location.origin;
+
+            const state = location.href.slice(origin.length);
+            return SaveProgressOnURL.withTimeParam(state, seconds);
+        }
+
+        /**
+         * Sets the time parameter of a URL, replacing the existing one.
+         * @param {string} newState URL, absolute or relative to the origin.
+         * @param {number|string} seconds Whole number of seconds.
+         * @returns {string} The URL with the time parameter set.
+         */
+        static withTimeParam(newState, seconds) {
+            const timeQueryRegex = /(\?|\&)t=([0-9]*[a-z])*/g;
+            const urlHasTimeParam = newState.search(timeQueryRegex) !== -1;
+            const urlHasQueries = newState.indexOf("?") !== -1;
+
+            seconds += "s";
+            if (urlHasTimeParam) {
+                return newState.replace(timeQueryRegex, `$1t=${seconds}`);
+            } else if (urlHasQueries) {
+                return newState + "&t=" + seconds;
+            } else {
+                return newState + "?t=" + seconds;
+            }
+        }
+    };
+
+    /**
+     * Adds the ability to control the volume with the mouse wheel by scrolling
+     * over the player.
+     */
+    class MouseWheelVolumeControl extends Tweak {
+        constructor() {
+            super();
+        }
+
+        onPlayerInit(player) {
+            this.addListener(
+                player,
+                "wheel",
+                (event) => this.eventHandler(player, event)
+            );
+        }
+
+        eventHandler(player, event) {
+            // Horizontal scrolling is left for seeking.
+            if (Math.abs(event.deltaX) >= Math.abs(event.deltaY)) return;
+
+            const scrollables = player.scrollableElements;
+            const path = event.composedPath();
+            for (const scrollable of scrollables) {
+                if (path.includes(scrollable)) return;
+            }
+
+            event.preventDefault();
+
+            const direction = -Math.sign(event.deltaY);
+            player.stepVolume(direction);
+        }
+    }
+
+    /**
+     * Adds the ability to control the playback rate with the mouse wheel by
+     * scrolling over the player time display.
+     */
+    class MouseWheelPlaybackRateControl extends Tweak {
+        constructor() {
+            super();
+            this.tweakedTimeDisplays = new Set();
+        }
+
+        onPlayerInit(player) {
+            const timeDisplays = player.timeDisplays;
+            for (const timeDisplay of timeDisplays) {
+                if (this.tweakedTimeDisplays.has(timeDisplay)) {
+                    continue;
+                }
+                this.addListener(
+                    timeDisplay,
+                    "wheel",
+                    (event) => this.eventHandler(player, event)
+                );
+                this.tweakedTimeDisplays.add(timeDisplay);
+            }
+        }
+
+        onPlayerRefresh(player) {
+            this.onPlayerInit(player);
+        }
+
+        onAppDestroy(app) {
+            this.tweakedTimeDisplays.clear();
+        }
+
+        eventHandler(player, event) {
+            event.preventDefault();
+
+            const direction = -Math.sign(event.deltaY);
+            player.stepPlaybackRate(direction);
+        }
+    }
+
+    /**
+     * Overrides the playback rate control of the players, allowing for custom
+     * non-native values.
+     */
+    class ModPlaybackRate extends Tweak {
+        /**
+         * @param {Array<number>} playbackRates List of desired playback rates.
+         */
+        constructor(playbackRates = []) {
+            super();
+
+            if (!playbackRates.length) {
+                const schema = ModPlaybackRate.settingsSchema;
+                this.playbackRates = schema.playbackRates.default;
+            } else {
+                this.playbackRates = playbackRates;
+            }
+
+            this.timerStart = new Date();
+        }
+
+        static get settingsSchema() {
+            return {
+                playbackRates: {
+                    type: SETTING_TYPES.LIST,
+                    items: { type: SETTING_TYPES.NUMBER, min: 0.0625, max: 16 },
+                    default: [
+                        0.10, 0.15, 0.20, 0.25, 0.50, 0.75, 1.00, 1.25, 1.50,
+                        1.75, 2.00, 2.50, 3.00, 4.00, 5.00, 6.00, 8.00, 10.0,
+                    ],
+                    description: "Playback rates to step through, in " +
+                        "ascending order",
+                },
+            };
+        }
+
+        applySettings(settings) {
+            super.applySettings(settings);
+            if (!this.playbackRates.length) {
+                const schema = ModPlaybackRate.settingsSchema;
+                this.playbackRates = schema.playbackRates.default;
+            }
+            this.playbackRates.sort((a, b) => a - b);
+        }
+
+        onPlayerEagerInit(player) {
+            const pbRateDescriptor = Object.getOwnPropertyDescriptor(
+                Object.getPrototypeOf(player), "playbackRate"
+            );
+            pbRateDescriptor.set = (value) => {
+                this.moddedSetPlaybackRate(player, value);
+            };
+            pbRateDescriptor.configurable = true;
+            Object.defineProperty(player, "playbackRate", pbRateDescriptor);
+
+            player.stepPlaybackRate = (direction) => {
+                this.moddedStepPlaybackRate(player, direction);
+            };
+        }
+
+        onPlayerDestroy(player) {
+            // The class default accessor and method are used again.
+            delete player.playbackRate;
+            delete player.stepPlaybackRate;
+        }
+
+        moddedSetPlaybackRate(player, value) {
+            // Prevents changing playback rate during ads.
+            if (player.adState === AD_STATES.AD) return;
+
+            // Workaround to be able to use YouTube's native OSD.
+            // A possibly undesired side effect is that the "ratechange" event
+            // is fired twice every time the playback rate is changed.
+            const direction = Math.sign(value - player.playbackRate);
+            const keyCode = (direction === -1) ? 188 : 190;
+            player.dispatchEvent(
+                new KeyboardEvent(
+                    "keydown", { keyCode: keyCode, shiftKey: true }
+                )
+            );
+            player.OSDElement.innerText = value + "x";
+
+            player.setPlaybackRate(value);
+            // Necessary for non-native values.
+            player.video.playbackRate = value;
+        }
+
+        moddedStepPlaybackRate(player, direction) {
+            const oldRate = player.playbackRate;
+            const newRate = this.nextRate(oldRate, direction);
+
+            const isOutsideNativeRange = (newRate < 0.25 || newRate > 2);
+            const now = new Date();
+            if (isOutsideNativeRange && (now - this.timerStart < 500)) {
+                return;
+            }
+
+            player.playbackRate = newRate;
+
+            if (newRate == 0.25 || newRate == 2) {
+                this.timerStart = new Date();
+            }
+        }
+
+        nextRate(oldRate, direction) {
+            let closestPlaybackRateIdx = this.playbackRates.length - 1;
+            for (const [i, playbackRate] of Object.entries(this.playbackRates)) {
+                if (oldRate < playbackRate) {
+                    closestPlaybackRateIdx = i - 0.5;
+                    break;
+                }
+                if (oldRate === playbackRate) {
+                    closestPlaybackRateIdx = i - 0;
+                    break;
+                }
+            }
+
+            let playbackRateIdx = closestPlaybackRateIdx + direction;
+            playbackRateIdx = Math.trunc(playbackRateIdx);
+            playbackRateIdx = Math.max(
+                0, Math.min(this.playbackRates.length - 1, playbackRateIdx)
+            );
+
+            return this.playbackRates[playbackRateIdx];
+        }
+    }
+
+    /**
+     * Modifies the default playback rate to the desired value. If the user
+     * changes the playback rate that will be set as the new default playback
+     * rate for the app. The playback rate is restored after ads.
+     */
+    class DefaultPlaybackRate extends Tweak {
+        /**
+         * @param {number} playbackRate The player's default playback rate.
+         */
+        constructor(playbackRate = 1.25) {
+            super();
+            this.playbackRate = playbackRate;
+        }
+
+        static get settingsSchema() {
+            return {
+                playbackRate: {
+                    type: SETTING_TYPES.NUMBER,
+                    default: 2,
+                    min: 0.0625,
+                    max: 16,
+                    description: "Default playback rate of the players",
+                },
+            };
+        }
+
+        onPlayerInit(player) {
+            this.applyPlaybackRate(player);
+            this.addListener(
+                player.video,
+                "ratechange",
+                () => this.rateChangeHandler(player)
+            );
+        }
+
+        onPlayerAdStateChange(player, state) {
+            if (state === AD_STATES.AD) return;
+            if (player.playbackRate === this.playbackRate) return;
+
+            this.applyPlaybackRate(player);
+        }
+
+        onVideoChange(player) {
+            if (player.playbackRate === this.playbackRate) return;
+
+            this.applyPlaybackRate(player);
+        }
+
+        onSettingsChange(app) {
+            for (const player of app.players) {
+                this.applyPlaybackRate(player);
+            }
+        }
+
+        applyPlaybackRate(player) {
+            player.changeAutomatically("playbackRate", () => {
+                player.playbackRate = this.playbackRate;
+            });
+        }
+
+        rateChangeHandler(player) {
+            // Ads are always played at 1x.
+            if (player.adState === AD_STATES.AD) return;
+            // Only rates chosen by the user become the default, not the ones
+            // applied by tweaks (e.g. channel profiles).
+            if (player.isAutomaticChange("playbackRate")) return;
+
+            this.playbackRate = player.playbackRate;
+        }
+    }
+
+    /**
+     * Sets the quality of the players according to a policy. The preferred
+     * quality can be set per player and is capped by the rendered size of the
+     * player (e.g. miniplayer, theater, fullscreen) and, optionally, while the
+     * tab is hidden. The quality is applied again whenever one of these
+     * changes or YouTube resets it.
+     */
+    class CustomPreferredQuality extends Tweak {
+        /**
+         * @param {QUALITY_LEVELS} preferredQuality The player's preferred
+         * quality.
+         */
+        constructor(preferredQuality = QUALITY_LEVELS._8K) {
+            super();
+            this.preferredQuality = preferredQuality;
+            this.playerQualities = {};
+            this.capBySize = true;
+            this.limitInBackground = false;
+            this.backgroundQuality = QUALITY_LEVELS._144p;
+
+            // Resizes happen in bursts, e.g. while the miniplayer animates.
+            this.applyDelay = 500;
+            this.resizeObservers = new Map();
+            this.applyTimeouts = new Map();
+            // Qualities set by the policy, mapped by player.
+            this.appliedQualities = new Map();
+        }
+
+        static get settingsSchema() {
+            const qualityLevels = [...new Set(Object.values(QUALITY_LEVELS))];
+            return {
+                preferredQuality: {
+                    type: SETTING_TYPES.ENUM,
+                    values: qualityLevels,
+                    default: QUALITY_LEVELS.FHD,
+                    description: "Preferred quality of the players",
+                },
+                playerQualities: {
+                    type: SETTING_TYPES.OBJECT,
+                    default: {},
+                    description: "Preferred quality of specific players, " +
+                        "mapped by CSS selector, e.g. {\"#c4-player\": " +
+                        "\"hd720\"} for channel trailers",
+                },
+                capBySize: {
+                    type: SETTING_TYPES.BOOLEAN,
+                    default: true,
+                    description: "Limit the quality to the size the player " +
+                        "is rendered at",
+                },
+                limitInBackground: {
+                    type: SETTING_TYPES.BOOLEAN,
+                    default: false,
+                    description: "Lower the quality while the tab is " +
+                        "hidden, also used by the audio-only mode of " +
+                        "Background Playback",
+                },
+                backgroundQuality: {
+                    type: SETTING_TYPES.ENUM,
+                    values: qualityLevels,
+                    default: QUALITY_LEVELS._144p,
+                    description: "Quality used while the tab is hidden",
+                },
+            };
+        }
+
+        onAppInit(app) {
+            this.app = app;
+            this.addListener(document, "visibilitychange", () => {
+                for (const player of app.players) {
+                    this.applyQuality(player);
+                }
+            });
+        }
+
+        onPlayerInit(player) {
+            this.applyQuality(player);
+
+            const resizeObserver = new ResizeObserver(
+                () => this.scheduleApply(player)
+            );
+            resizeObserver.observe(player.element);
+            this.resizeObservers.set(player, resizeObserver);
+
+            // Limits are set by other tweaks, e.g. BackgroundPlayback.
+            this.addListener(
+                player, "qualitylimitchange", () => this.applyQuality(player)
+            );
+
+            // The player API event is not a DOM event, so it is not tracked.
+            const qualityChangeListener = (
+                () => this.qualityChangeHandler(player)
+            );
+            player.element.addEventListener(
+                "onPlaybackQualityChange", qualityChangeListener
+            );
+            this.addCleanup(() => player.element.removeEventListener(
+                "onPlaybackQualityChange", qualityChangeListener
+            ));
+        }
+
+        onPlayerAdStateChange(player, state) {
+            this.applyQuality(player);
+        }
+
+        onVideoChange(player) {
+            this.applyQuality(player);
+        }
+
+        onSettingsChange(app) {
+            for (const player of app.players) {
+                this.applyQuality(player);
+            }
+        }
+
+        onPlayerRemoved(player) {
+            const resizeObserver = this.resizeObservers.get(player);
+            if (resizeObserver) resizeObserver.disconnect();
+            this.resizeObservers.delete(player);
+            this.applyTimeouts.delete(player);
+            this.appliedQualities.delete(player);
+        }
+
+        onPlayerDestroy(player) {
+            this.onPlayerRemoved(player);
+        }
+
+        /**
+         * Quality the policy sets for a player in its current state.
+         * @param {TweakedYouTubePlayer} player
+         * @returns {QUALITY_LEVELS}
+         */
+        getTargetQuality(player) {
+            let quality = this.preferredQuality;
+            for (const [selector, playerQuality] of Object.entries(
+                this.playerQualities
+            )) {
+                try {
+                    if (!player.matches(selector)) continue;
+                } catch (error) {
+                    // Invalid selectors are ignored.
+                    continue;
+                }
+                quality = playerQuality;
+                break;
+            }
+
+            if (this.limitInBackground && document.hidden) {
+                quality = lowerQuality(
+                    quality, this.backgroundQuality
+                );
+            } else if (this.capBySize) {
+                quality = lowerQuality(
+                    quality, this.getSizeQuality(player)
+                );
+            }
+
+            return lowerQuality(quality, player.qualityLimit);
+        }
+
+        /**
+         * Lowest quality whose resolution covers the rendered player.
+         * @param {TweakedYouTubePlayer} player
+         * @returns {QUALITY_LEVELS}
+         */
+        getSizeQuality(player) {
+            const { width, height } = player.element.getBoundingClientRect();
+            // Videos are usually 16:9, so narrow players are limited by their
+            // width instead.
+            const renderedHeight = Math.min(height, width * 9 / 16) *
+                (window.devicePixelRatio || 1);
+
+            const levels = Object.keys(QUALITY_HEIGHTS);
+            const level = levels.find(
+                level => QUALITY_HEIGHTS[level] >= renderedHeight
+            );
+            return level || levels[levels.length - 1];
+        }
+
+        applyQuality(player) {
+            // The quality cannot be set while an ad is playing, it is set when
+            // the ad ends instead.
+            if (player.adState === AD_STATES.AD) return;
+            // Players which are not rendered (e.g. hidden channel trailers)
+            // are left alone.
+            if (!player.element.offsetParent) return;
+
+            const quality = this.getTargetQuality(player);
+            if (quality === QUALITY_LEVELS.AUTO) {
+                // The automatic selection is only restored if the policy set
+                // a quality before, e.g. while the tab was hidden.
+                if (!this.appliedQualities.has(player)) return;
+                this.appliedQualities.delete(player);
+            } else {
+                this.appliedQualities.set(player, quality);
+                if (player.playbackQuality === quality) return;
+            }
+
+            player.playbackQuality = quality;
+        }
+
+        scheduleApply(player) {
+            this.removeTimeout(this.applyTimeouts.get(player));
+            this.applyTimeouts.set(player, this.addTimeout(() => {
+                this.applyTimeouts.delete(player);
+                this.applyQuality(player);
+            }, this.applyDelay));
+        }
+
+        qualityChangeHandler(player) {
+            // YouTube resets the quality to auto e.g. when the miniplayer
+            // opens. Qualities picked in the quality menu are kept.
+            const element = player.element;
+            if (!element.getPreferredQuality) return;
+            if (element.getPreferredQuality() !== QUALITY_LEVELS.AUTO) return;
+
+            this.scheduleApply(player);
+        }
+    }
+
+    /**
+     * Sets the playback rate, preferred quality and volume of the players
+     * according to profiles matched by channel, keyword in the video title or
+     * playlist. Playback rate and volume changes made by the user are learned
+     * per channel and used whenever no profile sets them.
+     */
+    class ChannelPlaybackProfiles extends Tweak {
+        constructor() {
+            super();
+
+            this.profiles = [];
+            this.learn = true;
+
+            // Learned settings, mapped by channel id.
+            this.learnedProfiles = new PersistentStore(
+                "YouTubeTweaks.channelProfiles"
+            );
+        }
+
+        static get settingsSchema() {
+            return {
+                profiles: {
+                    type: SETTING_TYPES.LIST,
+                    items: { type: SETTING_TYPES.OBJECT },
+                    default: [],
+                    description: "Profiles, e.g. {\"channel\": \"Channel " +
+                        "name or id\", \"keyword\": \"lecture\", " +
+                        "\"playlist\": \"Playlist id\", \"playbackRate\": 2, " +
+                        "\"quality\": \"hd1080\", \"volume\": 50}",
+                },
+                learn: {
+                    type: SETTING_TYPES.BOOLEAN,
+                    default: true,
+                    description: "Learn playback rate and volume changes " +
+                        "per channel",
+                },
+            };
+        }
+
+        onAppInit(app) {
+            this.app = app;
+            this.addActions(app, {
+                forgetChannelProfile: {
+                    description: "Forgets the playback rate and volume " +
+                        "learned for the channel of the current video",
+                    label: "Forget channel profile",
+                    run: () => this.forgetChannelProfile(),
+                },
+            });
+        }
+
+        onPlayerInit(player) {
+            this.applyProfile(player);
+
+            this.addListener(
+                player.video,
+                "ratechange",
+                () => this.learnHandler(player, "playbackRate")
+            );
+            this.addListener(
+                player.video,
+                "volumechange",
+                () => this.learnHandler(player, "volume")
+            );
+        }
+
+        onPlayerAdStateChange(player, state) {
+            if (state === AD_STATES.AD) return;
+
+            this.applyProfile(player);
+        }
+
+        onVideoChange(player) {
+            this.applyProfile(player);
+        }
+
+        onSettingsChange(app) {
+            for (const player of app.players) {
+                this.applyProfile(player);
+            }
+        }
+
+        /**
+         * Gets the profile matching the current video of a player. Settings
+         * of matching user profiles take precedence over learned ones.
+         * @param {TweakedYouTubePlayer} player
+         * @returns {Object<string, *>}
+         */
+        getProfile(player) {
+            const details = player.videoDetails;
+            const channelId = details.channelId;
+            const learnedProfile = this.learnedProfiles.value[channelId] || {};
+
+            const matchingProfiles = this.profiles.filter(
+                profile => this.matches(profile, details)
+            );
+
+            return Object.assign({}, learnedProfile, ...matchingProfiles);
+        }
+
+        matches(profile, details) {
+            const { channel, keyword, playlist } = profile;
+            if (!channel && !keyword && !playlist) return false;
+
+            if (channel) {
+                const lowerCaseChannel = channel.toLowerCase();
+                const channelNames = [details.channelId, details.author]
+                    .filter(e => e)
+                    .map(e => e.toLowerCase());
+                if (!channelNames.includes(lowerCaseChannel)) return false;
+            }
+
+            if (keyword) {
+                const title = (details.title || "").toLowerCase();
+                if (!title.includes(keyword.toLowerCase())) return false;
+            }
+
+            if (playlist) {
+                const params = new URLSearchParams(window.location.search);
+                if (params.get("list") !== playlist) return false;
+            }
+
+            return true;
+        }
+
+        applyProfile(player) {
+            if (player.adState === AD_STATES.AD) return;
+
+            const profile = this.getProfile(player);
+            if (profile.playbackRate) {
+                player.changeAutomatically("playbackRate", () => {
+                    player.playbackRate = profile.playbackRate;
+                });
+            }
+            if (profile.quality) {
+                player.playbackQuality = profile.quality;
+            }
+            if (profile.volume !== undefined) {
+                player.changeAutomatically("volume", () => {
+                    // The native method is used so that the OSD is not shown.
+                    player.element.setVolume(profile.volume);
+                });
+            }
+        }
+
+        learnHandler(player, setting) {
+            if (!this.learn) return;
+            if (player.adState === AD_STATES.AD) return;
+            // Changes made by this or other tweaks are not preferences.
+            if (player.isAutomaticChange(setting)) return;
+
+            const channelId = player.videoDetails.channelId;
+            if (!channelId) return;
+
+            const learnedProfiles = this.learnedProfiles.value;
+            const learnedProfile = learnedProfiles[channelId] || {};
+            const value = player[setting];
+            if (learnedProfile[setting] === value) return;
+
+            learnedProfile[setting] = value;
+            learnedProfiles[channelId] = learnedProfile;
+            this.learnedProfiles.save();
+        }
+
+        forgetChannelProfile() {
+            const player = this.app.activePlayer;
+            if (!player) return;
+
+            const channelId = player.videoDetails.channelId;
+            delete this.learnedProfiles.value[channelId];
+            this.learnedProfiles.save();
+            player.showOSD("Channel profile forgotten");
+        }
+    }
+
+    // TODO: Make user input detection more robust to different
+    // platforms/locales.
+    /**
+     * Listens for keyboard shortcuts and calls the actions of the app shortcut
+     * registry which are bound to them.
+     */
+    class CustomKeyboardShortcuts extends Tweak {
+        constructor() {
+            super();
+
+            this.sequenceTimeout = 1000;
+            this.pendingSequence = [];
+            this.helpOverlay = new Overlay("Keyboard shortcuts");
+
+            this.adSelectors = {
+                SKIP_AD: ".ytp-ad-skip-button-container",
+                CLOSE_BANNER: ".ytp-ad-overlay-close-button",
+            };
+        }
+
+        static get settingsSchema() {
+            return {
+                sequenceTimeout: {
+                    type: SETTING_TYPES.NUMBER,
+                    default: 1000,
+                    min: 100,
+                    description: "Time, in milliseconds, to wait for the " +
+                        "next key of a shortcut sequence",
+                },
+            };
+        }
+
+        onAppInit(app) {
+            this.app = app;
+            this.registerActions();
+            // Capturing allows for YouTube's own shortcuts to be overridden.
+            this.addListener(
+                window,
+                "keydown",
+                this.eventHandler.bind(this),
+                true
+            );
+        }
+
+        onAppDestroy(app) {
+            clearTimeout(this.sequenceTimeoutId);
+            this.pendingSequence = [];
+            this.helpOverlay.close();
+        }
+
+        registerActions() {
+            // TODO: Add the following shortcuts:
+            // - remove current video from playlist;
+            // - toggle PiP.
+            const actions = {
+                closeAds: {
+                    description: "Closes all ads",
+                    defaultBinding: "Alt+S",
+                    run: () => this.closeAds(),
+                },
+                toggleStatsForNerds: {
+                    description: "Toggles stats for nerds",
+                    defaultBinding: "Alt+V",
+                    run: this.playerAction("toggleStatsForNerds"),
+                },
+                toggleUI: {
+                    description: "Toggles player UI",
+                    defaultBinding: "Alt+C",
+                    run: this.playerAction("toggleUI"),
+                },
+                toggleSettingsPanel: {
+                    description: "Toggles the Tweaks settings panel",
+                    defaultBinding: "Alt+O",
+                    run: () => this.app.toggleSettingsPanel(),
+                },
+                toggleShortcutHelp: {
+                    description: "Toggles the list of keyboard shortcuts",
+                    defaultBinding: "Alt+H",
+                    run: () => this.toggleHelp(),
+                },
+                nextChapter: {
+                    description: "Skips to the next chapter",
+                    defaultBinding: "Alt+N",
+                    run: this.playerAction("nextChapter"),
+                },
+                previousChapter: {
+                    description: "Skips to the previous chapter",
+                    defaultBinding: "Alt+P",
+                    run: this.playerAction("previousChapter"),
+                },
+                setPlaybackRate1x: {
+                    description: "Sets playback rate to '1x'",
+                    defaultBinding: "Alt+1",
+                    run: () => this.setPlaybackRate(1),
+                },
+                setPlaybackRate2x: {
+                    description: "Sets playback rate to '2x'",
+                    defaultBinding: "Alt+2",
+                    run: () => this.setPlaybackRate(2),
+                },
+                decreaseVolume: {
+                    description: "Decreases volume",
+                    defaultBinding: "Alt+ArrowDown",
+                    run: this.playerAction("stepVolume", -1),
+                },
+                increaseVolume: {
+                    description: "Increases volume",
+                    defaultBinding: "Alt+ArrowUp",
+                    run: this.playerAction("stepVolume", 1),
+                },
+                decreasePlaybackRate: {
+                    description: "Decreases playback rate",
+                    defaultBinding: "Ctrl+Shift+<",
+                    run: this.playerAction("stepPlaybackRate", -1),
+                },
+                increasePlaybackRate: {
+                    description: "Increases playback rate",
+                    defaultBinding: "Ctrl+Shift+>",
+                    run: this.playerAction("stepPlaybackRate", 1),
+                },
+                pauseExecution: {
+                    description: "Pauses JavaScript execution (only works " +
+                        "if dev tools are already open)",
+                    defaultBinding: "Ctrl+Alt+D",
+                    run: function () { debugger },
+                },
+            };
+
+            this.addActions(this.app, actions);
+        }
+
+        /**
+         * Creates an action that calls a method of the active player.
+         * @param {string} method Name of the player method.
+         * @param {...*} args Arguments of the player method.
+         * @returns {function(): void}
+         */
+        playerAction(method, ...args) {
+            return () => {
+                const player = this.app.activePlayer;
+                if (!player) return;
+
+                player[method](...args);
+            };
+        }
+
+        eventHandler(event) {
+            // Player methods dispatch synthetic key events themselves.
+            if (!event.isTrusted) return;
+            if (this.isTyping(event)) return;
+            if (["Alt", "Control", "Meta", "Shift"].includes(event.key)) return;
+
+            const shortcuts = this.app.shortcuts;
+            const chord = ShortcutRegistry.eventToChord(event);
+
+            let sequence = [...this.pendingSequence, chord].join(" ");
+            const isSequenceValid = (
+                shortcuts.findAction(sequence) || shortcuts.isPrefix(sequence)
+            );
+            if (!isSequenceValid) {
+                // Starts a new sequence with the pressed chord.
+                sequence = chord;
+            }
+            this.pendingSequence = [];
+            clearTimeout(this.sequenceTimeoutId);
+
+            const action = shortcuts.findAction(sequence);
+            if (action) {
+                event.preventDefault();
+                event.stopPropagation();
+                action.run(this.app);
+                return;
+            }
+
+            if (shortcuts.isPrefix(sequence)) {
+                event.preventDefault();
+                event.stopPropagation();
+                this.pendingSequence = sequence.split(" ");
+                this.sequenceTimeoutId = setTimeout(
+                    () => { this.pendingSequence = [] },
+                    this.sequenceTimeout
+                );
+            }
+        }
+
+        /**
+         * @returns {boolean} Whether the key was pressed while typing (e.g. in
+         * the search box or in a comment).
+         */
+        isTyping(event) {
+            // The target might be inside a shadow root.
+            const target = event.composedPath()[0];
+            if (!target || !target.tagName) return false;
+
+            const textInputs = ["INPUT", "TEXTAREA", "SELECT"];
+            return textInputs.includes(target.tagName) || target.isContentEditable;
+        }
+
+        toggleHelp() {
+            if (this.helpOverlay.isOpen) {
+                this.helpOverlay.close();
+                return;
+            }
+
+            const shortcuts = this.app.shortcuts;
+            const table = document.createElement("table");
+            for (const action of shortcuts.actions.values()) {
+                const row = table.insertRow();
+                const bindingCell = row.insertCell();
+                bindingCell.innerText = shortcuts.getBinding(action.name) || "—";
+                bindingCell.style.paddingRight = "24px";
+                bindingCell.style.fontFamily = "monospace";
+                row.insertCell().innerText = action.description;
+            }
+
+            const conflicts = document.createElement("ul");
+            for (const conflict of shortcuts.getConflicts()) {
+                const item = document.createElement("li");
+                item.innerText = conflict;
+                conflicts.appendChild(item);
+            }
+
+            this.helpOverlay.body.replaceChildren(table, conflicts);
+            this.helpOverlay.open();
+        }
+
+        /**
+         * Closes all ads and returns focus to a player.
+         */
+        closeAds() {
+            const focusedPlayer = this.app.focusedPlayer;
+            const skipAdSelector = this.adSelectors.SKIP_AD;
+
+            for (const button of this.getAdButtons()) {
+                // Check to prevent skipping ads before timer runs out.
+                const isSkipAdButton = button.matches(skipAdSelector);
+                const isHidden = (button.style.display === "none");
+                if (isSkipAdButton && isHidden) continue;
+
+                button.click();
+            }
+
+            if (focusedPlayer) {
+                focusedPlayer.focus();
+            } else {
+                this.app.focusNextPlayer();
+            }
+        }
+
+        getAdButtons() {
+            const selectors = Object.values(this.adSelectors);
+            const adButtons = [];
+            for (const selector of selectors) {
+                adButtons.push(...document.querySelectorAll(selector))
+            }
+
+            return adButtons;
+        }
+
+        setPlaybackRate(value) {
+            const player = this.app.activePlayer;
+            if (!player) return;
+
+            player.playbackRate = value;
+        }
+    }
+
+    // BUG: Live badge is hidden in live videos and eff time is shown.
+    // TODO: Replace only the required individual elements instead of replacing the whole 'ytp-time-display'.
+    // TODO: Do not update time if display is hidden.
+    /**
+     * Tweaks the time display to show the effective time, taking the current
+     * playback rate into account.
+     */
+    class EffectiveTimeDisplay extends Tweak {
+        constructor() {
+            super();
+
+            this.effTDClassName = "eff-time-display ytp-time-display";
+            this.effTDChildren = {
+                current: {
+                    className: "eff-time-current ytp-time-current",
+                },
+                separator: {
+                    className: "eff-time-separator ytp-time-separator",
+                    innerText: " / ",
+                },
+                duration: {
+                    className: "eff-time-duration ytp-time-duration",
+                },
+                playbackRate: {
+                    className: "eff-playback-rate ytp-time-duration",
+                },
+            };
+
+            this.tweakedTDs = [];
+        }
+
+        onPlayerInit(player) {
+            this.tweakTDs(player);
+            this.bindListeners(player);
+        }
+
+        onPlayerRefresh(player) {
+            this.tweakTDs(player);
+        }
+
+        onVideoChange(player) {
+            this.updateTDs(player);
+        }
+
+        onPlayerDestroy(player) {
+            // The native time displays are put back in place.
+            const tweakedTDs = this.tweakedTDs.filter(e => e.player == player);
+            this.disableEffTDs(tweakedTDs);
+            this.tweakedTDs = this.tweakedTDs.filter(e => e.player != player);
+        }
+
+        onPlayerRemoved(player) {
+            this.tweakedTDs = this.tweakedTDs.filter(e => e.player != player);
+        }
+
+        tweakTDs(player) {
+            const nonTweakedTDs = this.getNonTweakedTDs(player);
+            for (const nativeTD of nonTweakedTDs) {
+                const effTD = this.createEffTD();
+                this.addMouseWheelPlaybackRateControl(player, effTD);
+
+                this.tweakedTDs.push({
+                    native: nativeTD,
+                    eff: effTD,
+                    active: nativeTD,
+                    player: player,
+                });
+            }
+            this.onPlayerAdStateChange(player, player.adState);
+        }
+
+        onPlayerAdStateChange(player, state) {
+            const tweakedTDs = this.tweakedTDs.filter(e => e.player == player);
+
+            // The native time displays show the ad time during ads.
+            if (state === AD_STATES.AD) {
+                this.disableEffTDs(tweakedTDs);
+                return;
+            }
+
+            this.enableEffTDs(tweakedTDs);
+            this.updateEffTime(tweakedTDs);
+        }
+
+        bindListeners(player) {
+            this.addListener(
+                player.video, "timeupdate", () => this.updateTDs(player)
+            );
+            this.addListener(
+                player.video, "ratechange", () => this.updateTDs(player)
+            );
+        }
+
+        getNonTweakedTDs(player) {
+            const nativeTDs = player.timeDisplays;
+            const nonTweakedTDs = [];
+
+            for (const nativeTD of nativeTDs) {
+                const TDAlreadyTweaked = this.tweakedTDs.find(
+                    e => (e.native === nativeTD)
+                );
+                if (TDAlreadyTweaked) continue;
+
+                nonTweakedTDs.push(nativeTD);
+            }
+
+            return nonTweakedTDs;
+        }
+
+        createEffTD() {
+            const effTD = document.createElement("div");
+            effTD.className = this.effTDClassName;
+
+            for (const child of Object.values(this.effTDChildren)) {
+                const element = document.createElement("span");
+                for (const [attr, val] of Object.entries(child)) {
+                    element[attr] = val;
+                }
+                effTD.appendChild(element);
+            }
+
+            return effTD;
+        }
+
+        updateTDs(player) {
+            const tweakedTDs = this.tweakedTDs.filter(
+                e => (e.player == player && e.active === e.eff)
+            );
+            this.updateEffTime(tweakedTDs);
+        }
+
+        disableEffTDs(tweakedTDs) {
+            for (const tweakedTD of tweakedTDs) {
+                if (tweakedTD.active === tweakedTD.native) continue;
+
+                this.replaceTDElements(tweakedTD.active, tweakedTD.native);
+                tweakedTD.active = tweakedTD.native;
+            }
+        }
+
+        enableEffTDs(tweakedTDs) {
+            for (const tweakedTD of tweakedTDs) {
+                if (tweakedTD.active === tweakedTD.eff) continue;
+
+                this.replaceTDElements(tweakedTD.active, tweakedTD.eff);
+                tweakedTD.active = tweakedTD.eff;
+            }
+        }
+
+        replaceTDElements(td1, td2) {
+            const liveBadge = td1.getElementsByClassName(
+                "ytp-live-badge ytp-button"
+            )[0];
+            if (liveBadge) {
+                td2.appendChild(liveBadge);
+            }
+
+            td1.replaceWith(td2);
+        }
+
+        addMouseWheelPlaybackRateControl(player, effTD) {
+            effTD.addEventListener(
+                "wheel",
+                function (event) {
+                    event.preventDefault();
+
+                    const direction = -Math.sign(event.deltaY);
+                    player.stepPlaybackRate(direction);
+                }
+            )
+        }
+
+        updateEffTime(tweakedTDs) {
+            for (const tweakedTD of tweakedTDs) {
+                const eff = tweakedTD.eff;
+                const player = tweakedTD.player;
+
+                const current = player.getCurrentTime();
+                const duration = player.getDuration();
+                const rate = player.playbackRate;
+                const tdStrings = EffectiveTimeDisplay.effTimeStrings(
+                    current, duration, rate
+                );
+
+                for (const [child, text] of Object.entries(tdStrings)) {
+                    const className = this.effTDChildren[child].className;
+                    const element = eff.getElementsByClassName(className)[0];
+                    element.innerText = text;
+                }
+            }
+        }
+
+        static effTimeStrings(current, duration, rate) {
+            let effCurrent, effDuration, rateStr;
+            if (!rate || rate == 1) {
+                effCurrent = current;
+                effDuration = duration;
+                rateStr = "";
+            } else {
+                effCurrent = current / rate;
+                effDuration = duration / rate;
+                rateStr = ` (${rate}x)`;
+            }
+
+            const effCurrentStr = this.secsToDisplayFormat(effCurrent);
+            const effDurationStr = this.secsToDisplayFormat(effDuration);
+
+            return {
+                current: effCurrentStr,
+                duration: effDurationStr,
+                playbackRate: rateStr
+            };
+        }
+
+        /**
+         * Converts number of seconds to time display format.
+         * @param {number} secs Number of seconds to convert.
+         * @returns {string} Time formatted as [[[[[d]d:]h]h:]m]m:ss.
+         */
+        static secsToDisplayFormat(secs) {
+            let d = Math.floor(secs / 86400);
+            secs -= d * 86400;
+            let h = Math.floor(secs / 3600);
+            secs -= h * 3600;
+            let m = Math.floor(secs / 60);
+            secs -= m * 60;
+            let s = Math.floor(secs);
+
+            const separator = ":";
+            let dhSeparator = separator;
+            let hmSeparator = separator;
+            let msSeparator = separator;
+
+            if (d == 0) { d = dhSeparator = "" };
+            if (d == 0 && h == 0) { h = hmSeparator = "" };
+            if (h < 10 && d != 0) { h = "0" + h }
+            if (m < 10 && (d != 0 || h != 0)) { m = "0" + m };
+            if (s < 10) { s = "0" + s };
+
+            return d + dhSeparator + h + hmSeparator + m + msSeparator + s;
+        }
+
+        /**
+         * Converts time display format to number of seconds.
+         * @param {string} str Time formatted as [[[[[d]d:]h]h:]m]m:ss.
+         * @returns {number} Number of seconds, NaN if the format is invalid.
+         */
+        static displayFormatToSecs(str) {
+            const timeRegex = /^\d+(:\d{1,2}){0,3}$/;
+            if (!timeRegex.test(str.trim())) return NaN;
+
+            const multipliers = [1, 60, 3600, 86400];
+            const parts = str.trim().split(":").reverse();
+
+            let secs = 0;
+            for (const [i, part] of parts.entries()) {
+                secs += parseInt(part) * multipliers[i];
+            }
+
+            return secs;
+        }
+    }
+
+    /**
+     * Shows the total, watched and remaining playtime of the playlist on watch
+     * pages, both at 1x and at the current effective playback rate.
+     */
+    class PlaylistPlaytime extends Tweak {
+        constructor() {
+            super();
+
+            this.panelSelector = "ytd-playlist-panel-renderer#playlist";
+            this.itemSelector = "ytd-playlist-panel-video-renderer";
+            this.durationSelector = (
+                "ytd-thumbnail-overlay-time-status-renderer #text"
+            );
+            this.playtimeClassName = "playlist-playtime";
+
+            this.observedItemLists = new Set();
+            this.entries = { durations: [], currentIdx: -1, incomplete: false };
+        }
+
+        onAppInit(app) {
+            this.app = app;
+            this.retryOnFail(() => this.update());
+        }
+
+        onAppRefresh(app) {
+            this.update();
+        }
+
+        onPageChange(app, pageType) {
+            this.update();
+        }
+
+        onPlayerInit(player) {
+            if (!player.matches("#movie_player")) return;
+
+            this.addListener(player.video, "timeupdate", () => this.render());
+            this.addListener(player.video, "ratechange", () => this.render());
+        }
+
+        onAppDestroy(app) {
+            this.observedItemLists.clear();
+        }
+
+        onVideoChange(player) {
+            if (!player.matches("#movie_player")) return;
+
+            this.update();
+        }
+
+        get panel() {
+            const panels = [...document.querySelectorAll(this.panelSelector)];
+            // Some layouts keep a hidden copy of the playlist panel.
+            return panels.find(e => e.offsetParent) || panels[0];
+        }
+
+        /**
+         * Reads the playlist entries and updates the displayed playtime.
+         * @returns {boolean} Whether a playlist panel was found.
+         */
+        update() {
+            const panel = this.panel;
+            if (this.app.pageType !== PAGE_TYPES.WATCH || !panel) return false;
+
+            this.observeItemList(panel);
+            this.entries = this.readEntries(panel);
+            this.render();
+
+            return true;
+        }
+
+        observeItemList(panel) {
+            // Entries are loaded lazily and the current one is marked with the
+            // "selected" attribute.
+            const itemList = panel.querySelector("#items");
+            if (!itemList || this.observedItemLists.has(itemList)) return;
+
+            this.addObserver(itemList, () => this.scheduleUpdate(), {
+                attributes: true,
+                attributeFilter: ["selected"],
+                characterData: true,
+                childList: true,
+                subtree: true,
+            });
+            this.observedItemLists.add(itemList);
+        }
+
+        scheduleUpdate() {
+            this.removeTimeout(this.updateTimeout);
+            this.updateTimeout = this.addTimeout(() => this.update(), 250);
+        }
+
+        readEntries(panel) {
+            const items = panel.querySelectorAll(this.itemSelector);
+            const durations = [];
+            let currentIdx = -1;
+            let incomplete = false;
+
+            for (const [i, item] of [...items].entries()) {
+                const durationElement = item.querySelector(
+                    this.durationSelector
+                );
+                const text = durationElement ? durationElement.innerText : "";
+                const duration = EffectiveTimeDisplay.displayFormatToSecs(
+                    text
+                );
+
+                // Durations of entries which did not load yet are unknown.
+                if (isNaN(duration)) {
+                    durations.push(0);
+                    incomplete = true;
+                } else {
+                    durations.push(duration);
+                }
+
+                if (item.hasAttribute("selected")) {
+                    currentIdx = i;
+                }
+            }
+
+            return { durations, currentIdx, incomplete };
+        }
+
+        getPlaytime() {
+            const { durations, currentIdx } = this.entries;
+            const player = this.app.mainPlayer;
+
+            const total = durations.reduce((a, b) => a + b, 0);
+            let watched = durations
+                .slice(0, Math.max(0, currentIdx))
+                .reduce((a, b) => a + b, 0);
+            if (currentIdx !== -1 && player && player.adState !== AD_STATES.AD) {
+                watched += Math.min(
+                    player.getCurrentTime(), durations[currentIdx]
+                );
+            }
+
+            return {
+                total: total,
+                watched: watched,
+                remaining: total - watched,
+                rate: player ? player.playbackRate : 1,
+            };
+        }
+
+        render() {
+            const panel = this.panel;
+            if (!panel || !this.entries.durations.length) return;
+
+            const element = this.getPlaytimeElement(panel);
+            if (!element) return;
+
+            const { total, watched, remaining, rate } = this.getPlaytime();
+            const lines = [this.playtimeString(watched, total, remaining, 1)];
+            if (rate && rate != 1) {
+                lines.push(
+                    this.playtimeString(watched, total, remaining, rate)
+                );
+            }
+
+            const text = lines.join("\n");
+            if (element.innerText !== text) {
+                element.innerText = text;
+            }
+        }
+
+        playtimeString(watched, total, remaining, rate) {
+            const strings = EffectiveTimeDisplay.effTimeStrings(
+                watched, total, rate
+            );
+            const remainingStr = EffectiveTimeDisplay.secsToDisplayFormat(
+                remaining / rate
+            );
+            const incompleteStr = this.entries.incomplete ? "+" : "";
+
+            return `${strings.current} / ${strings.duration}${incompleteStr}` +
+                ` (${remainingStr}${incompleteStr} left)${strings.playbackRate}`;
+        }
+
+        getPlaytimeElement(panel) {
+            const existing = panel.getElementsByClassName(
+                this.playtimeClassName
+            )[0];
+            if (existing) return existing;
+
+            const header = panel.querySelector("#header-contents");
+            if (!header) return;
+
+            const element = document.createElement("div");
+            element.className = this.playtimeClassName;
+            element.title = "Playlist watched / total playtime";
+            element.style.fontSize = "1.2rem";
+            element.style.color = "var(--yt-spec-text-secondary)";
+            header.appendChild(this.addElement(element));
+
+            return element;
+        }
+    }
+
+
+    /**
+     * Adds a button to the subscriptions and channels pages that opens every
+     * subscribed channel with new content in a new tab. Channels are detected
+     * through the "new content" dot of the guide. Browsers might require
+     * pop-ups to be allowed on YouTube for more than one tab to be opened.
+     */
+    class OpenNewSubscriptions extends Tweak {
+        constructor() {
+            super();
+
+            this.pageSelector = (
+                "ytd-browse[page-subtype='subscriptions']:not([hidden]), " +
+                "ytd-browse[page-subtype='channels']:not([hidden])"
+            );
+            this.buttonClassName = "open-new-subscriptions";
+            this.storageKey = "YouTubeTweaks.openedChannels";
+            // Channels waiting to be opened, so that pressing the button again
+            // meanwhile does not duplicate tabs.
+            this.pendingChannels = new Set();
+
+            this.openInterval = 500;
+            this.confirmThreshold = 10;
+        }
+
+        static get settingsSchema() {
+            return {
+                openInterval: {
+                    type: SETTING_TYPES.NUMBER,
+                    default: 500,
+                    min: 0,
+                    description: "Time, in milliseconds, between opening " +
+                        "each channel",
+                },
+                confirmThreshold: {
+                    type: SETTING_TYPES.NUMBER,
+                    default: 10,
+                    min: 1,
+                    description: "Number of channels above which opening " +
+                        "them has to be confirmed",
+                },
+            };
+        }
+
+        onAppInit(app) {
+            this.app = app;
+            this.retryOnFail(() => this.injectButton());
+        }
+
+        onAppRefresh(app) {
+            this.injectButton();
+        }
+
+        onPageChange(app, pageType) {
+            this.retryOnFail(() => this.injectButton());
+        }
+
+        onAppDestroy(app) {
+            this.pendingChannels.clear();
+        }
+
+        /**
+         * @returns {boolean} Whether the button is on the page.
+         */
+        injectButton() {
+            const path = window.location.pathname;
+            const isTargetPage = (
+                path === "/feed/subscriptions" || path === "/feed/channels"
+            );
+            if (!isTargetPage) return true;
+
+            const page = document.querySelector(this.pageSelector);
+            const container = page && page.querySelector("#primary");
+            if (!container) return false;
+
+            let button = container.getElementsByClassName(
+                this.buttonClassName
+            )[0];
+            if (!button) {
+                button = document.createElement("button");
+                button.className = this.buttonClassName;
+                button.style.margin = "16px 0";
+                button.style.padding = "8px 16px";
+                button.style.cursor = "pointer";
+                button.addEventListener("click", () => this.openChannels());
+                container.prepend(this.addElement(button));
+            }
+            this.updateButton(button);
+
+            return true;
+        }
+
+        updateButton(button) {
+            const count = this.getUnopenedChannels().length;
+            button.innerText = `Open ${count} channels with new content`;
+            button.disabled = !count;
+        }
+
+        /**
+         * URLs of the subscribed channels that have new content.
+         * @returns {Array<string>}
+         */
+        getNewContentChannels() {
+            const entries = document.querySelectorAll(
+                "#guide ytd-guide-entry-renderer"
+            );
+
+            const channels = new Set();
+            for (const entry of entries) {
+                const newnessDot = entry.querySelector("#newness-dot");
+                const hasNewContent = (
+                    entry.getAttribute("line-end-style") === "dot" ||
+                    (newnessDot && !newnessDot.hasAttribute("hidden"))
+                );
+                const link = entry.querySelector("a#endpoint");
+                if (!hasNewContent || !link || !link.href) continue;
+
+                channels.add(link.href);
+            }
+
+            return [...channels];
+        }
+
+        getUnopenedChannels() {
+            const openedChannels = this.openedChannels;
+            return this.getNewContentChannels().filter(
+                url => (
+                    !openedChannels.includes(url) &&
+                    !this.pendingChannels.has(url)
+                )
+            );
+        }
+
+        get openedChannels() {
+            try {
+                const stored = sessionStorage.getItem(this.storageKey);
+                return JSON.parse(stored) || [];
+            } catch (error) {
+                return [];
+            }
+        }
+
+        set openedChannels(channels) {
+            sessionStorage.setItem(this.storageKey, JSON.stringify(channels));
+        }
+
+        openChannels() {
+            const channels = this.getUnopenedChannels();
+            if (!channels.length) return;
+
+            if (channels.length > this.confirmThreshold) {
+                const message = `Open ${channels.length} channels in new tabs?`;
+                if (!window.confirm(message)) return;
+            }
+
+            for (const [i, url] of channels.entries()) {
+                this.pendingChannels.add(url);
+                if (i === 0) {
+                    // Opened right away, while the click still counts as user
+                    // activation.
+                    this.openChannel(url);
+                    continue;
+                }
+                this.addTimeout(
+                    () => this.openChannel(url), i * this.openInterval
+                );
+            }
+
+            this.injectButton();
+        }
+
+        /**
+         * Opens a channel in a new tab. Channels blocked by the browser are
+         * not remembered as opened, so that pressing the button again retries
+         * them.
+         * @param {string} url
+         */
+        openChannel(url) {
+            this.pendingChannels.delete(url);
+
+            const tab = window.open(url + "/videos", "_blank");
+            if (tab) {
+                this.openedChannels = [...this.openedChannels, url];
+            }
+
+            this.injectButton();
+        }
+    }
+
+    /**
+     * Hides the player UI while the video is paused so that paused frames can
+     * be inspected cleanly. The UI is revealed while the mouse is moved over
+     * the player or the player is focused. The UI is left alone if it was
+     * hidden with toggleUI.
+     */
+    class HideUIWhilePaused extends Tweak {
+        constructor() {
+            super();
+
+            this.hideDelay = 1500;
+            this.revealDelay = 0;
+
+            // Players whose UI was hidden by this tweak.
+            this.hiddenPlayers = new Set();
+            this.hideTimeouts = new Map();
+            this.revealTimeouts = new Map();
+        }
+
+        static get settingsSchema() {
+            return {
+                hideDelay: {
+                    type: SETTING_TYPES.NUMBER,
+                    default: 1500,
+                    min: 0,
+                    description: "Time, in milliseconds, without user " +
+                        "interaction before the UI is hidden",
+                },
+                revealDelay: {
+                    type: SETTING_TYPES.NUMBER,
+                    default: 0,
+                    min: 0,
+                    description: "Time, in milliseconds, the mouse has to be " +
+                        "moved over the player before the UI is revealed",
+                },
+            };
+        }
+
+        onPlayerInit(player) {
+            this.addListener(
+                player.video, "pause", () => this.scheduleHide(player)
+            );
+            this.addListener(
+                player.video, "play", () => this.reveal(player)
+            );
+            this.addListener(
+                player, "mousemove", () => this.interactionHandler(player)
+            );
+            this.addListener(
+                player, "focusin", () => this.interactionHandler(player)
+            );
+            this.addListener(
+                player, "mouseleave", () => this.scheduleHide(player, 0)
+            );
+        }
+
+        onPlayerAdStateChange(player, state) {
+            if (state === AD_STATES.AD) {
+                this.reveal(player);
+            }
+        }
+
+        onPlayerRemoved(player) {
+            clearTimeout(this.hideTimeouts.get(player));
+            clearTimeout(this.revealTimeouts.get(player));
+            this.hideTimeouts.delete(player);
+            this.revealTimeouts.delete(player);
+            this.hiddenPlayers.delete(player);
+        }
+
+        onPlayerDestroy(player) {
+            this.reveal(player);
+            this.onPlayerRemoved(player);
+        }
+
+        interactionHandler(player) {
+            this.scheduleHide(player);
+
+            const isRevealScheduled = this.revealTimeouts.has(player);
+            if (!this.hiddenPlayers.has(player) || isRevealScheduled) return;
+
+            this.revealTimeouts.set(player, setTimeout(() => {
+                this.revealTimeouts.delete(player);
+                this.reveal(player);
+            }, this.revealDelay));
+        }
+
+        scheduleHide(player, delay = this.hideDelay) {
+            clearTimeout(this.hideTimeouts.get(player));
+            if (!player.video.paused) return;
+
+            this.hideTimeouts.set(
+                player, setTimeout(() => this.hide(player), delay)
+            );
+        }
+
+        hide(player) {
+            if (!player.video.paused) return;
+            if (player.adState === AD_STATES.AD) return;
+            // The UI is either already hidden or was hidden with toggleUI.
+            if (!player.isUIEnabled) return;
+
+            clearTimeout(this.revealTimeouts.get(player));
+            this.revealTimeouts.delete(player);
+
+            player.hideUI();
+            this.hiddenPlayers.add(player);
+        }
+
+        reveal(player) {
+            clearTimeout(this.hideTimeouts.get(player));
+            if (!this.hiddenPlayers.has(player)) return;
+            this.hiddenPlayers.delete(player);
+
+            // The UI might have been shown with toggleUI in the meantime.
+            if (player.isUIEnabled) return;
+
+            player.showUI();
+            player.wakeUpControls();
+        }
+    }
+
+    /**
+     * Analyses the audio of the players and temporarily raises the playback
+     * rate during silent stretches, returning to the rate chosen by the user
+     * when sound resumes. The time saved is shown next to the time display.
+     */
+    class SmartSpeed extends Tweak {
+        constructor() {
+            super();
+
+            this.threshold = -45;
+            this.minGap = 300;
+            this.silenceRate = 3;
+            this.tickInterval = 50;
+
+            this.savedClassName = "smart-speed-saved ytp-time-display";
+            this.states = new Map();
+        }
+
+        static get isEnabledByDefault() {
+            return false;
+        }
+
+        static get settingsSchema() {
+            return {
+                threshold: {
+                    type: SETTING_TYPES.NUMBER,
+                    default: -45,
+                    min: -100,
+                    max: 0,
+                    description: "Volume, in dBFS, below which audio is " +
+                        "considered silent",
+                },
+                minGap: {
+                    type: SETTING_TYPES.NUMBER,
+                    default: 300,
+                    min: 0,
+                    description: "Time, in milliseconds, audio has to be " +
+                        "silent before the playback rate is raised",
+                },
+                silenceRate: {
+                    type: SETTING_TYPES.NUMBER,
+                    default: 3,
+                    min: 1,
+                    // Browsers mute the audio at higher rates, which would
+                    // keep it from being analysed.
+                    max: 4,
+                    description: "Playback rate used during silent stretches",
+                },
+            };
+        }
+
+        onPlayerInit(player) {
+            const state = {
+                graph: null,
+                analyser: null,
+                samples: null,
+                intervalId: undefined,
+                silenceStart: null,
+                lastTick: null,
+                saved: 0,
+            };
+            this.states.set(player, state);
+
+            this.requestAudioGraph(player, (graph) => {
+                // The tweak might have been destroyed in the meantime.
+                if (this.states.get(player) !== state) return;
+
+                state.graph = graph;
+                state.analyser = graph.createAnalyser();
+                state.samples = new Float32Array(state.analyser.fftSize);
+                if (!player.video.paused) this.start(player);
+            });
+
+            this.addListener(
+                player.video, "playing", () => this.start(player)
+            );
+            this.addListener(player.video, "pause", () => this.stop(player));
+        }
+
+        onPlayerAdStateChange(player, state) {
+            if (state === AD_STATES.AD) {
+                this.endSilence(player);
+            }
+        }
+
+        onPlayerRemoved(player) {
+            this.stop(player);
+
+            // The graph outlives the tweak, so the analyser would otherwise
+            // keep being fed.
+            const state = this.states.get(player);
+            if (state.analyser) {
+                state.graph.removeAnalyser(state.analyser);
+            }
+            this.states.delete(player);
+        }
+
+        onPlayerDestroy(player) {
+            this.onPlayerRemoved(player);
+        }
+
+        onVideoChange(player) {
+            const state = this.states.get(player);
+            state.saved = 0;
+            this.endSilence(player);
+            this.updateSavedDisplay(player);
+        }
+
+        start(player) {
+            const state = this.states.get(player);
+            if (!state.analyser || state.intervalId !== undefined) return;
+
+            state.lastTick = performance.now();
+            state.intervalId = this.addInterval(
+                () => this.tick(player), this.tickInterval
+            );
+        }
+
+        stop(player) {
+            const state = this.states.get(player);
+            this.removeInterval(state.intervalId);
+            state.intervalId = undefined;
+            this.endSilence(player);
+        }
+
+        tick(player) {
+            const state = this.states.get(player);
+            const now = performance.now();
+            const elapsed = (now - state.lastTick) / 1000;
+            state.lastTick = now;
+
+            if (player.adState === AD_STATES.AD) return;
+
+            // Time saved compared to playing at the rate chosen by the user.
+            if (player.isPlaybackRateOverridden) {
+                const contentTime = elapsed * player.video.playbackRate;
+                state.saved += contentTime / player.playbackRate - elapsed;
+                this.updateSavedDisplay(player);
+            }
+
+            if (this.getLevel(state) >= this.threshold) {
+                this.endSilence(player);
+                return;
+            }
+
+            if (state.silenceStart === null) {
+                state.silenceStart = now;
+            }
+            const isGapLongEnough = (now - state.silenceStart >= this.minGap);
+            const isFaster = (this.silenceRate > player.playbackRate);
+            if (isGapLongEnough && isFaster) {
+                player.overridePlaybackRate(this.silenceRate);
+            }
+        }
+
+        endSilence(player) {
+            const state = this.states.get(player);
+            state.silenceStart = null;
+            player.clearPlaybackRateOverride();
+        }
+
+        /**
+         * @returns {number} Root mean square level of the audio, in dBFS.
+         */
+        getLevel(state) {
+            state.analyser.getFloatTimeDomainData(state.samples);
+
+            let sumOfSquares = 0;
+            for (const sample of state.samples) {
+                sumOfSquares += sample * sample;
+            }
+            const rms = Math.sqrt(sumOfSquares / state.samples.length);
+
+            return 20 * Math.log10(rms);
+        }
+
+        updateSavedDisplay(player) {
+            const controls = player.controls;
+            const leftControls = controls && controls.querySelector(
+                ".ytp-left-controls"
+            );
+            if (!leftControls) return;
+
+            let element = leftControls.getElementsByClassName(
+                this.savedClassName
+            )[0];
+            if (!element) {
+                element = document.createElement("div");
+                element.className = this.savedClassName;
+                element.title = "Time saved by skipping silence";
+                leftControls.appendChild(this.addElement(element));
+            }
+
+            const saved = this.states.get(player).saved;
+            const text = (saved >= 1) ?
+                "−" + EffectiveTimeDisplay.secsToDisplayFormat(saved) : "";
+            if (element.innerText !== text) {
+                element.innerText = text;
+            }
+        }
+    }
+
+    /**
+     * Adds shortcuts for A-B looping a section of the video, optionally
+     * raising the playback rate on each repetition.
+     */
+    class ABLoop extends Tweak {
+        constructor() {
+            super();
+
+            this.repeat = 0;
+            this.raiseRate = false;
+        }
+
+        static get settingsSchema() {
+            return {
+                repeat: {
+                    type: SETTING_TYPES.NUMBER,
+                    default: 0,
+                    min: 0,
+                    description: "Number of repetitions, 0 to loop forever",
+                },
+                raiseRate: {
+                    type: SETTING_TYPES.BOOLEAN,
+                    default: false,
+                    description: "Raise the playback rate on each repetition",
+                },
+            };
+        }
+
+        onAppInit(app) {
+            this.app = app;
+
+            const actions = {
+                setLoopStart: {
+                    description: "Sets the start (A) of the A-B loop",
+                    defaultBinding: "Alt+A",
+                    run: () => this.setLoopStart(),
+                },
+                setLoopEnd: {
+                    description: "Sets the end (B) of the A-B loop",
+                    defaultBinding: "Alt+B",
+                    run: () => this.setLoopEnd(),
+                },
+                clearLoop: {
+                    description: "Clears the A-B loop",
+                    defaultBinding: "Alt+X",
+                    run: () => this.clearLoop(),
+                },
+            };
+            this.addActions(app, actions);
+        }
+
+        onPlayerDestroy(player) {
+            player.clearLoop();
+        }
+
+        setLoopStart() {
+            const player = this.app.activePlayer;
+            if (!player) return;
+
+            const time = player.getCurrentTime();
+            player.setLoopStart(time);
+            player.showOSD(
+                "A: " + EffectiveTimeDisplay.secsToDisplayFormat(time)
+            );
+        }
+
+        setLoopEnd() {
+            const player = this.app.activePlayer;
+            if (!player) return;
+
+            player.setLoopEnd(player.getCurrentTime(), {
+                repeat: this.repeat,
+                onRepeat: (count) => this.repeatHandler(player, count),
+            });
+
+            const { start, end } = player.loop;
+            player.showOSD(
+                EffectiveTimeDisplay.secsToDisplayFormat(start) + " – " +
+                EffectiveTimeDisplay.secsToDisplayFormat(end)
+            );
+        }
+
+        clearLoop() {
+            const player = this.app.activePlayer;
+            if (!player || !player.loop) return;
+
+            player.clearLoop();
+            player.showOSD("Loop cleared");
+        }
+
+        repeatHandler(player, count) {
+            if (this.raiseRate) {
+                player.changeAutomatically("playbackRate", () => {
+                    player.playbackRate = this.nextRate(player.playbackRate);
+                });
+            }
+
+            const total = this.repeat ? "/" + this.repeat : "";
+            player.showOSD(`Loop ${count}${total}`);
+        }
+
+        nextRate(rate) {
+            const modPlaybackRate = this.app.tweaks.find(
+                tweak => (tweak instanceof ModPlaybackRate)
+            );
+            if (modPlaybackRate) {
+                return modPlaybackRate.nextRate(rate, 1);
+            }
+
+            // YouTube's native playback rate step.
+            return Math.min(2, rate + 0.25);
+        }
+    }
+
+    /**
+     * Routes the audio of the players through a processing chain that allows
+     * for boosting the volume above 100%, compressing its dynamic range and
+     * downmixing it to mono. Volume steps continue past 100% into the boost.
+     */
+    class AudioProcessing extends Tweak {
+        constructor() {
+            super();
+
+            this.maxGain = 4;
+            this.gainStep = 0.1;
+            this.compressor = false;
+            this.mono = false;
+
+            this.states = new Map();
+        }
+
+        static get isEnabledByDefault() {
+            return false;
+        }
+
+        static get settingsSchema() {
+            return {
+                maxGain: {
+                    type: SETTING_TYPES.NUMBER,
+                    default: 4,
+                    min: 1,
+                    max: 10,
+                    description: "Maximum volume boost (e.g. 4 for 400%)",
+                },
+                gainStep: {
+                    type: SETTING_TYPES.NUMBER,
+                    default: 0.1,
+                    min: 0.01,
+                    max: 1,
+                    description: "Volume boost step (e.g. 0.1 for 10%)",
+                },
+                compressor: {
+                    type: SETTING_TYPES.BOOLEAN,
+                    default: false,
+                    description: "Compress the dynamic range so that quiet " +
+                        "uploads are louder",
+                },
+                mono: {
+                    type: SETTING_TYPES.BOOLEAN,
+                    default: false,
+                    description: "Downmix the audio to mono",
+                },
+            };
+        }
+
+        onPlayerEagerInit(player) {
+            player.stepVolume = (direction) => {
+                this.moddedStepVolume(player, direction);
+            };
+        }
+
+        onPlayerInit(player) {
+            const state = { graph: null, gainNode: null, boost: 1 };
+            this.states.set(player, state);
+
+            this.requestAudioGraph(player, (graph) => {
+                // The tweak might have been destroyed in the meantime.
+                if (this.states.get(player) !== state) return;
+
+                state.graph = graph;
+                this.buildChain(state);
+            });
+        }
+
+        onPlayerRemoved(player) {
+            this.states.delete(player);
+        }
+
+        onPlayerDestroy(player) {
+            const state = this.states.get(player);
+            // The audio is left unprocessed.
+            if (state && state.graph) state.graph.setNodes([]);
+            this.states.delete(player);
+
+            delete player.stepVolume;
+        }
+
+        onSettingsChange(app) {
+            for (const state of this.states.values()) {
+                if (!state.graph) continue;
+
+                state.boost = Math.min(state.boost, this.maxGain);
+                this.buildChain(state);
+            }
+        }
+
+        buildChain(state) {
+            const context = state.graph.context;
+            const nodes = [];
+
+            if (this.mono) {
+                // Channels are mixed down to one and then back up by the
+                // destination.
+                const monoNode = context.createGain();
+                monoNode.channelCount = 1;
+                monoNode.channelCountMode = "explicit";
+                monoNode.channelInterpretation = "speakers";
+                nodes.push(monoNode);
+            }
+
+            if (this.compressor) {
+                nodes.push(context.createDynamicsCompressor());
+            }
+
+            state.gainNode = context.createGain();
+            state.gainNode.gain.value = state.boost;
+            nodes.push(state.gainNode);
+
+            state.graph.setNodes(nodes);
+        }
+
+        moddedStepVolume(player, direction) {
+            const state = this.states.get(player);
+            const canBoost = (
+                state && state.gainNode && !player.isMuted() &&
+                player.volume >= 100
+            );
+            const isBoosting = canBoost && (state.boost > 1 || direction > 0);
+            if (!isBoosting) {
+                TweakedYouTubePlayer.prototype.stepVolume.call(
+                    player, direction
+                );
+                return;
+            }
+
+            // Rounding avoids floating point drift.
+            const boost = Math.round(
+                (state.boost + direction * this.gainStep) * 100
+            ) / 100;
+            state.boost = Math.max(1, Math.min(this.maxGain, boost));
+            state.gainNode.gain.value = state.boost;
+
+            player.showOSD(Math.round(state.boost * 100) + "%");
+        }
+    }
+
+    /**
+     * Adds shortcuts for seeking by configurable steps and for stepping single
+     * frames. Scrolling horizontally over the player seeks as well.
+     */
+    class FineSeekControls extends Tweak {
+        constructor() {
+            super();
+
+            this.smallStep = 1;
+            this.largeStep = 10;
+            this.wheelStep = 5;
+            this.wheelThrottle = 200;
+            this.lastWheelSeek = 0;
+        }
+
+        static get settingsSchema() {
+            return {
+                smallStep: {
+                    type: SETTING_TYPES.NUMBER,
+                    default: 1,
+                    min: 0.1,
+                    description: "Small seek step, in seconds",
+                },
+                largeStep: {
+                    type: SETTING_TYPES.NUMBER,
+                    default: 10,
+                    min: 0.1,
+                    description: "Large seek step, in seconds",
+                },
+                wheelStep: {
+                    type: SETTING_TYPES.NUMBER,
+                    default: 5,
+                    min: 0,
+                    description: "Seek step of horizontal scrolling over " +
+                        "the player, in seconds (0 to disable)",
+                },
+            };
+        }
+
+        onAppInit(app) {
+            this.app = app;
+
+            const actions = {
+                seekBackwardSmall: {
+                    description: "Seeks backwards by the small step",
+                    defaultBinding: "Shift+ArrowLeft",
+                    run: () => this.seekBy(-this.smallStep),
+                },
+                seekForwardSmall: {
+                    description: "Seeks forwards by the small step",
+                    defaultBinding: "Shift+ArrowRight",
+                    run: () => this.seekBy(this.smallStep),
+                },
+                seekBackwardLarge: {
+                    description: "Seeks backwards by the large step",
+                    defaultBinding: "Ctrl+Shift+ArrowLeft",
+                    run: () => this.seekBy(-this.largeStep),
+                },
+                seekForwardLarge: {
+                    description: "Seeks forwards by the large step",
+                    defaultBinding: "Ctrl+Shift+ArrowRight",
+                    run: () => this.seekBy(this.largeStep),
+                },
+                previousFrame: {
+                    description: "Steps to the previous frame",
+                    defaultBinding: "Alt+,",
+                    run: () => this.stepFrame(-1),
+                },
+                nextFrame: {
+                    description: "Steps to the next frame",
+                    defaultBinding: "Alt+.",
+                    run: () => this.stepFrame(1),
+                },
+            };
+            this.addActions(app, actions);
+        }
+
+        onPlayerInit(player) {
+            this.addListener(
+                player,
+                "wheel",
+                (event) => this.wheelHandler(player, event)
+            );
+        }
+
+        seekBy(seconds) {
+            const player = this.app.activePlayer;
+            if (!player) return;
+
+            player.seekBy(seconds);
+        }
+
+        stepFrame(direction) {
+            const player = this.app.activePlayer;
+            if (!player) return;
+
+            player.stepFrame(direction);
+        }
+
+        wheelHandler(player, event) {
+            if (!this.wheelStep) return;
+            if (Math.abs(event.deltaX) <= Math.abs(event.deltaY)) return;
+
+            const scrollables = player.scrollableElements;
+            const path = event.composedPath();
+            for (const scrollable of scrollables) {
+                if (path.includes(scrollable)) return;
+            }
+
+            event.preventDefault();
+
+            // Touchpads fire many wheel events for a single gesture.
+            const now = Date.now();
+            if (now - this.lastWheelSeek < this.wheelThrottle) return;
+            this.lastWheelSeek = now;
+
+            player.seekBy(Math.sign(event.deltaX) * this.wheelStep);
+        }
+    }
+
+    /**
+     * Adds shortcuts for capturing the current frame, or a frame at the start
+     * of each chapter, e.g. to grab slides from recorded talks.
+     */
+    class FrameCapture extends Tweak {
+        constructor() {
+            super();
+
+            this.save = true;
+            this.copyToClipboard = false;
+        }
+
+        static get settingsSchema() {
+            return {
+                save: {
+                    type: SETTING_TYPES.BOOLEAN,
+                    default: true,
+                    description: "Save captured frames as PNG files",
+                },
+                copyToClipboard: {
+                    type: SETTING_TYPES.BOOLEAN,
+                    default: false,
+                    description: "Copy captured frames to the clipboard",
+                },
+            };
+        }
+
+        onAppInit(app) {
+            this.app = app;
+
+            this.addActions(app, {
+                captureFrame: {
+                    description: "Captures the current frame",
+                    defaultBinding: "Alt+F",
+                    run: () => this.captureFrame(),
+                },
+                captureChapterFrames: {
+                    description: "Captures a frame at the start of each " +
+                        "chapter",
+                    defaultBinding: "Alt+Shift+F",
+                    run: () => this.captureChapterFrames(),
+                },
+            });
+        }
+
+        get captureOptions() {
+            return {
+                save: this.save,
+                copyToClipboard: this.copyToClipboard,
+            };
+        }
+
+        captureFrame() {
+            const player = this.app.activePlayer;
+            if (!player) return;
+
+            player.captureFrame(this.captureOptions);
+        }
+
+        captureChapterFrames() {
+            const player = this.app.activePlayer;
+            if (!player) return;
+
+            player.captureChapterFrames(this.captureOptions);
+        }
+    }
+
+    /**
+     * Adds timestamped bookmarks with optional notes to videos. Bookmarks are
+     * stored per video, listed in a side panel, drawn on the progress bar and
+     * can be exported as Markdown or JSON.
+     */
+    class VideoBookmarks extends Tweak {
+        constructor() {
+            super();
+
+            this.askForNote = true;
+            this.markerColor = "#ffd600";
+
+            // Bookmarks, mapped by video id.
+            this.store = new PersistentStore("YouTubeTweaks.bookmarks");
+            // Ids of the progress bar markers, mapped by player.
+            this.markerIds = new Map();
+            this.panel = null;
+        }
+
+        static get settingsSchema() {
+            return {
+                askForNote: {
+                    type: SETTING_TYPES.BOOLEAN,
+                    default: true,
+                    description: "Ask for a note when adding a bookmark",
+                },
+                markerColor: {
+                    type: SETTING_TYPES.STRING,
+                    default: "#ffd600",
+                    description: "CSS color of the progress bar markers",
+                },
+            };
+        }
+
+        onAppInit(app) {
+            this.app = app;
+
+            const actions = {
+                addBookmark: {
+                    description: "Bookmarks the current time",
+                    defaultBinding: "Alt+M",
+                    run: () => this.addBookmark(),
+                },
+                toggleBookmarksPanel: {
+                    description: "Shows or hides the bookmarks panel",
+                    defaultBinding: "Alt+K",
+                    run: () => this.togglePanel(),
+                },
+                exportBookmarksMarkdown: {
+                    description: "Exports the bookmarks of the video as " +
+                        "Markdown",
+                    run: () => this.exportBookmarks("markdown"),
+                },
+                exportBookmarksJSON: {
+                    description: "Exports the bookmarks of the video as JSON",
+                    run: () => this.exportBookmarks("json"),
+                },
+            };
+            this.addActions(app, actions);
+        }
+
+        onSettingsChange(app) {
+            for (const player of app.players) {
+                this.drawMarkers(player);
+            }
+        }
+
+        onPlayerInit(player) {
+            this.drawMarkers(player);
+        }
+
+        onPlayerRemoved(player) {
+            this.markerIds.delete(player);
+        }
+
+        onPlayerDestroy(player) {
+            this.removeMarkers(player);
+        }
+
+        onAppDestroy(app) {
+            if (this.panel) this.panel.remove();
+        }
+
+        onVideoChange(player) {
+            this.drawMarkers(player);
+            if (player === this.app.activePlayer) this.renderPanel();
+        }
+
+        onPageChange(app) {
+            this.renderPanel();
+        }
+
+        /**
+         * @param {string} videoId
+         * @returns {Array<{time: number, note: string, created: number}>}
+         * Bookmarks of the video, sorted by time.
+         */
+        getBookmarks(videoId) {
+            const entry = this.store.value[videoId];
+            return entry ? entry.bookmarks : [];
+        }
+
+        addBookmark() {
+            const player = this.app.activePlayer;
+            if (!player || !player.videoId) return;
+            if (player.adState === AD_STATES.AD) return;
+
+            const time = Math.floor(player.getCurrentTime());
+            const timestamp = EffectiveTimeDisplay.secsToDisplayFormat(time);
+
+            let note = "";
+            if (this.askForNote) {
+                note = window.prompt(`Note for the bookmark at ${timestamp}:`);
+                // Cancelling the prompt cancels the bookmark.
+                if (note === null) return;
+            }
+
+            const videoId = player.videoId;
+            const entries = this.store.value;
+            if (!entries[videoId]) {
+                entries[videoId] = { title: "", bookmarks: [] };
+            }
+            const entry = entries[videoId];
+            entry.title = player.videoDetails.title || entry.title;
+            entry.bookmarks.push({
+                time: time,
+                note: note.trim(),
+                created: Date.now(),
+            });
+            entry.bookmarks.sort((a, b) => a.time - b.time);
+            this.store.save();
+
+            player.showOSD(`Bookmarked ${timestamp}`);
+            this.updateVideo(videoId);
+        }
+
+        removeBookmark(videoId, bookmark) {
+            const entries = this.store.value;
+            const entry = entries[videoId];
+            if (!entry) return;
+
+            entry.bookmarks = entry.bookmarks.filter(b => b !== bookmark);
+            if (!entry.bookmarks.length) {
+                delete entries[videoId];
+            }
+            this.store.save();
+
+            this.updateVideo(videoId);
+        }
+
+        /**
+         * Redraws the markers and the panel wherever the video is shown.
+         * @param {string} videoId
+         */
+        updateVideo(videoId) {
+            for (const player of this.app.players) {
+                if (player.videoId === videoId) this.drawMarkers(player);
+            }
+            this.renderPanel();
+        }
+
+        drawMarkers(player) {
+            this.removeMarkers(player);
+
+            const bookmarks = this.getBookmarks(player.videoId);
+            const ids = bookmarks.map(bookmark => player.addMarker(
+                bookmark.time, {
+                    label: EffectiveTimeDisplay.secsToDisplayFormat(
+                        bookmark.time
+                    ) + (bookmark.note ? ` ${bookmark.note}` : ""),
+                    color: this.markerColor,
+                    className: "tweaks-bookmark-marker",
+                }
+            ));
+            this.markerIds.set(player, ids);
+        }
+
+        removeMarkers(player) {
+            for (const id of this.markerIds.get(player) || []) {
+                player.removeOverlay(id);
+            }
+            this.markerIds.delete(player);
+        }
+
+        /**
+         * Shareable link to the video starting at the given time.
+         * @param {string} videoId
+         * @param {number} time Time, in seconds.
+         * @returns {string}
+         */
+        static videoLink(videoId, time) {
+            const state = `/watch?v=${encodeURIComponent(videoId)}`;
+            const seconds = Math.floor(time);
+            return "https://www.youtube.com" +
+                SaveProgressOnURL.withTimeParam(state, seconds);
+        }
+
+        exportBookmarks(format) {
+            const player = this.app.activePlayer;
+            if (!player || !player.videoId) return;
+
+            const videoId = player.videoId;
+            const bookmarks = this.getBookmarks(videoId);
+            if (!bookmarks.length) {
+                player.showOSD("No bookmarks to export");
+                return;
+            }
+
+            const entry = this.store.value[videoId];
+            const title = entry.title || videoId;
+            const url = `https://www.youtube.com/watch?v=${videoId}`;
+
+            let contents, type, extension;
+            if (format === "json") {
+                contents = JSON.stringify({
+                    videoId: videoId,
+                    title: title,
+                    url: url,
+                    bookmarks: bookmarks.map(bookmark => ({
+                        time: bookmark.time,
+                        timestamp: EffectiveTimeDisplay.secsToDisplayFormat(
+                            bookmark.time
+                        ),
+                        url: VideoBookmarks.videoLink(videoId, bookmark.time),
+                        note: bookmark.note,
+                    })),
+                }, null, 2);
+                type = "application/json";
+                extension = "json";
+            } else {
+                const lines = [`# ${title}`, "", url, ""];
+                for (const bookmark of bookmarks) {
+                    const timestamp = EffectiveTimeDisplay.secsToDisplayFormat(
+                        bookmark.time
+                    );
+                    const link = VideoBookmarks.videoLink(
+                        videoId, bookmark.time
+                    );
+                    const note = bookmark.note ? ` ${bookmark.note}` : "";
+                    lines.push(`- [${timestamp}](${link})${note}`);
+                }
+                contents = lines.join("\n") + "\n";
+                type = "text/markdown";
+                extension = "md";
+            }
+
+            downloadFile(
+                new Blob([contents], { type: type }),
+                `${title} bookmarks.${extension}`
+            );
+        }
+
+        togglePanel() {
+            if (this.panel && this.panel.isConnected) {
+                this.panel.remove();
+                return;
+            }
+
+            this.panel = this.createPanel();
+            document.body.appendChild(this.panel);
+            this.renderPanel();
+        }
+
+        createPanel() {
+            const panel = document.createElement("div");
+            panel.className = "tweaks-bookmarks-panel";
+            Object.assign(panel.style, {
+                position: "fixed",
+                top: "72px",
+                right: "16px",
+                zIndex: "2100",
+                width: "320px",
+                maxHeight: "70vh",
+                overflow: "auto",
+                padding: "12px 16px",
+                borderRadius: "12px",
+                boxShadow: "0 4px 16px rgba(0, 0, 0, 0.3)",
+                background: "var(--yt-spec-base-background, #fff)",
+                color: "var(--yt-spec-text-primary, #000)",
+                fontFamily: "Roboto, Arial, sans-serif",
+                fontSize: "14px",
+            });
+
+            return panel;
+        }
+
+        renderPanel() {
+            if (!this.panel || !this.panel.isConnected) return;
+
+            const header = document.createElement("div");
+            Object.assign(header.style, {
+                display: "flex",
+                gap: "4px",
+                alignItems: "center",
+            });
+            const title = document.createElement("h3");
+            title.innerText = "Bookmarks";
+            title.style.flexGrow = "1";
+            const buttons = [
+                ["+", "Add bookmark", () => this.addBookmark()],
+                ["MD", "Export as Markdown",
+                    () => this.exportBookmarks("markdown")],
+                ["JSON", "Export as JSON", () => this.exportBookmarks("json")],
+                ["✕", "Close", () => this.togglePanel()],
+            ].map(([text, tooltip, onClick]) => {
+                const button = document.createElement("button");
+                button.innerText = text;
+                button.title = tooltip;
+                button.addEventListener("click", onClick);
+                return button;
+            });
+            header.append(title, ...buttons);
+
+            const list = document.createElement("ul");
+            list.style.padding = "0";
+            list.style.listStyle = "none";
+
+            const player = this.app.activePlayer;
+            const videoId = player && player.videoId;
+            const bookmarks = videoId ? this.getBookmarks(videoId) : [];
+            for (const bookmark of bookmarks) {
+                list.appendChild(
+                    this.createBookmarkItem(player, videoId, bookmark)
+                );
+            }
+            if (!bookmarks.length) {
+                const empty = document.createElement("li");
+                empty.innerText = "No bookmarks for this video.";
+                list.appendChild(empty);
+            }
+
+            this.panel.replaceChildren(header, list);
+        }
+
+        createBookmarkItem(player, videoId, bookmark) {
+            const item = document.createElement("li");
+            Object.assign(item.style, {
+                display: "flex",
+                gap: "8px",
+                alignItems: "baseline",
+                margin: "4px 0",
+            });
+
+            const seekButton = document.createElement("button");
+            seekButton.innerText = EffectiveTimeDisplay.secsToDisplayFormat(
+                bookmark.time
+            );
+            seekButton.title = "Seek to bookmark";
+            seekButton.addEventListener(
+                "click", () => player.element.seekTo(bookmark.time, true)
+            );
+
+            const note = document.createElement("span");
+            note.innerText = bookmark.note;
+            note.style.flexGrow = "1";
+            note.style.overflowWrap = "anywhere";
+
+            const removeButton = document.createElement("button");
+            removeButton.innerText = "✕";
+            removeButton.title = "Remove bookmark";
+            removeButton.addEventListener(
+                "click", () => this.removeBookmark(videoId, bookmark)
+            );
+
+            item.append(seekButton, note, removeButton);
+            return item;
+        }
+    }
+
+    /**
+     * Records, per day and per channel, how much content was watched, how
+     * much real time it took and how much time was saved by watching at
+     * higher playback rates. The totals are shown on a dashboard and can be
+     * exported as CSV or JSON.
+     */
+    class WatchStatistics extends Tweak {
+        constructor() {
             super();
+
+            this.retentionDays = 365;
+            this.sampleInterval = 1000;
+            // Samples are only saved every so often to spare the storage.
+            this.saveInterval = 30000;
+            this.lastSampleTime = Date.now();
+            this.lastSaveTime = Date.now();
+            // Statistics recorded since the last save, in the same format as
+            // the stored ones. They are added to the stored statistics, which
+            // other tabs might have updated meanwhile.
+            this.unsavedDays = {};
+
+            // Statistics, mapped by day ("YYYY-MM-DD") and channel id.
+            this.store = new PersistentStore(
+                "YouTubeTweaks.watchStatistics"
+            );
+            this.overlay = new Overlay("Watch statistics");
+        }
+
+        static get settingsSchema() {
+            return {
+                retentionDays: {
+                    type: SETTING_TYPES.NUMBER,
+                    default: 365,
+                    min: 1,
+                    description: "Days after which statistics are forgotten",
+                },
+            };
+        }
+
+        onAppInit(app) {
+            this.app = app;
+            this.removeExpiredDays();
+
+            const actions = {
+                toggleWatchStatistics: {
+                    description: "Shows or hides the watch statistics",
+                    defaultBinding: "Alt+W",
+                    run: () => this.toggleDashboard(),
+                },
+                exportWatchStatisticsCSV: {
+                    description: "Exports the watch statistics as CSV",
+                    run: () => this.exportStatistics("csv"),
+                },
+                exportWatchStatisticsJSON: {
+                    description: "Exports the watch statistics as JSON",
+                    run: () => this.exportStatistics("json"),
+                },
+                resetWatchStatistics: {
+                    description: "Forgets all watch statistics",
+                    run: () => this.resetStatistics(),
+                },
+            };
+            this.addActions(app, actions);
+
+            this.lastSampleTime = Date.now();
+            this.addInterval(() => this.sample(), this.sampleInterval);
+            this.addListener(window, "pagehide", () => this.save());
+        }
+
+        onAppDestroy(app) {
+            this.save();
+            this.overlay.close();
         }
 
-        onPlayerInit(player) {
-            player.addEventListener(
-                "wheel",
-                (event) => this.eventHandler(player, event)
+        onSettingsChange(app) {
+            this.removeExpiredDays();
+        }
+
+        /**
+         * @param {Date} date
+         * @returns {string} Local date in the "YYYY-MM-DD" format.
+         */
+        static dayKey(date) {
+            const pad = (number) => String(number).padStart(2, "0");
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-` +
+                pad(date.getDate());
+        }
+
+        /**
+         * Formats a duration in seconds, keeping the sign of negative ones
+         * (e.g. time lost to rates slower than 1x).
+         * @param {number} secs
+         * @returns {string}
+         */
+        static formatDuration(secs) {
+            const sign = (secs < 0) ? "−" : "";
+            return sign + EffectiveTimeDisplay.secsToDisplayFormat(
+                Math.abs(secs)
             );
         }
 
-        eventHandler(player, event) {
-            const scrollables = player.scrollableElements;
-            for (const scrollable of scrollables) {
-                if (event.path.includes(scrollable)) return;
+        /**
+         * Adds the time elapsed since the last sample to the statistics of
+         * every playing video.
+         */
+        sample() {
+            const now = Date.now();
+            // Timers of background tabs might be throttled, so longer gaps are
+            // accepted, but not ones long enough to be e.g. a suspended
+            // computer.
+            const elapsed = Math.min(now - this.lastSampleTime, 60000) / 1000;
+            this.lastSampleTime = now;
+
+            for (const player of this.app.players) {
+                const video = player.video;
+                if (!video || video.paused || video.ended) continue;
+                if (player.adState === AD_STATES.AD) continue;
+                // Muted players are autoplaying previews (e.g. on the home
+                // feed), which are not being watched.
+                if (player.isMuted()) continue;
+
+                // The rate of the video itself also accounts for temporary
+                // overrides, such as skipped silences.
+                this.record(player.videoDetails, elapsed, video.playbackRate);
             }
 
-            event.preventDefault();
+            if (now - this.lastSaveTime >= this.saveInterval) {
+                this.save();
+                this.lastSaveTime = now;
+            }
+        }
 
-            const direction = -Math.sign(event.deltaY);
-            player.stepVolume(direction);
+        /**
+         * Adds the unsaved statistics to the stored ones. The storage is left
+         * alone if nothing was recorded, so that idle tabs do not overwrite
+         * it.
+         */
+        save() {
+            const unsavedDays = this.unsavedDays;
+            if (!Object.keys(unsavedDays).length) return;
+
+            this.unsavedDays = {};
+            this.store.update((days) => {
+                for (const [day, channels] of Object.entries(unsavedDays)) {
+                    if (!days[day]) days[day] = {};
+                    for (const [channelId, entry] of Object.entries(channels)) {
+                        const stored = days[day][channelId] || {
+                            name: "", content: 0, real: 0,
+                        };
+                        days[day][channelId] = {
+                            name: entry.name || stored.name,
+                            content: stored.content + entry.content,
+                            real: stored.real + entry.real,
+                        };
+                    }
+                }
+            });
         }
-    }
 
-    /**
-     * Adds the ability to control the playback rate with the mouse wheel by
-     * scrolling over the player time display.
-     */
-    class MouseWheelPlaybackRateControl extends Tweak {
-        constructor() {
-            super();
-            this.tweakedTimeDisplays = new Set();
+        /**
+         * Saves the unsaved statistics and loads the ones saved by other
+         * tabs, so that the dashboard and exports are up to date.
+         */
+        refresh() {
+            this.save();
+            this.store.reload();
         }
 
-        onPlayerInit(player) {
-            const timeDisplays = player.timeDisplays;
-            for (const timeDisplay of timeDisplays) {
-                if (this.tweakedTimeDisplays.has(timeDisplay)) {
-                    continue;
-                }
-                timeDisplay.addEventListener(
-                    "wheel",
-                    (event) => this.eventHandler(player, event)
-                );
-                this.tweakedTimeDisplays.add(timeDisplay);
+        /**
+         * @param {Object<string, *>} videoDetails Details of the video.
+         * @param {number} real Real time spent watching, in seconds.
+         * @param {number} rate Playback rate the video was watched at.
+         */
+        record(videoDetails, real, rate) {
+            const days = this.unsavedDays;
+            const day = WatchStatistics.dayKey(new Date());
+            const channelId = videoDetails.channelId || "unknown";
+
+            if (!days[day]) days[day] = {};
+            if (!days[day][channelId]) {
+                days[day][channelId] = { name: "", content: 0, real: 0 };
             }
+            const entry = days[day][channelId];
+            entry.name = videoDetails.author || entry.name;
+            entry.content += real * rate;
+            entry.real += real;
         }
 
-        onPlayerRefresh(player) {
-            this.onPlayerInit(player);
+        removeExpiredDays() {
+            const expiryDate = new Date(
+                Date.now() - this.retentionDays * 86400000
+            );
+            const expiryDay = WatchStatistics.dayKey(expiryDate);
+            const expiredDays = Object.keys(this.store.value).filter(
+                day => day < expiryDay
+            );
+            if (!expiredDays.length) return;
+
+            this.store.update((days) => {
+                for (const day of expiredDays) {
+                    delete days[day];
+                }
+            });
         }
 
-        eventHandler(player, event) {
-            event.preventDefault();
+        resetStatistics() {
+            if (!window.confirm("Forget all watch statistics?")) return;
 
-            const direction = -Math.sign(event.deltaY);
-            player.stepPlaybackRate(direction);
+            this.unsavedDays = {};
+            this.store.clear();
+            if (this.overlay.isOpen) this.renderDashboard();
         }
-    }
 
-    /**
-     * Overrides the playback rate control of the players, allowing for custom
-     * non-native values.
-     */
-    class ModPlaybackRate extends Tweak {
         /**
-         * @param {Array<number>} playbackRates List of desired playback rates.
+         * @returns {Array<Object>} One row per day and channel, sorted by day.
          */
-        constructor(playbackRates = []) {
-            super();
+        get rows() {
+            const rows = [];
+            const days = Object.keys(this.store.value).sort();
+            for (const day of days) {
+                const channels = this.store.value[day];
+                for (const [channelId, entry] of Object.entries(channels)) {
+                    rows.push({
+                        day: day,
+                        channelId: channelId,
+                        channel: entry.name,
+                        content: Math.round(entry.content),
+                        real: Math.round(entry.real),
+                        saved: Math.round(entry.content - entry.real),
+                    });
+                }
+            }
+            return rows;
+        }
 
-            if (!playbackRates.length) {
-                this.playbackRates = [
-                    0.10, 0.15, 0.20, 0.25, 0.50, 0.75, 1.00, 1.25, 1.50,
-                    1.75, 2.00, 2.50, 3.00, 4.00, 5.00, 6.00, 8.00, 10.0,
-                ];
-            } else {
-                this.playbackRates = playbackRates;
+        /**
+         * @param {Array<Object>} rows
+         * @returns {{content: number, real: number, saved: number}}
+         */
+        static sumRows(rows) {
+            const total = { content: 0, real: 0, saved: 0 };
+            for (const row of rows) {
+                total.content += row.content;
+                total.real += row.real;
+                total.saved += row.saved;
             }
+            return total;
+        }
 
-            this.timerStart = new Date();
+        /**
+         * Sums rows grouped by the given key.
+         * @param {Array<Object>} rows
+         * @param {function(Object): string} keyFunction
+         * @returns {Map<string, Object>} Totals of each group, in the same
+         * format as the ones of sumRows.
+         */
+        static sumRowsBy(rows, keyFunction) {
+            const groups = new Map();
+            for (const row of rows) {
+                const key = keyFunction(row);
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(row);
+            }
+
+            const totals = new Map();
+            for (const [key, group] of groups) {
+                totals.set(key, WatchStatistics.sumRows(group));
+            }
+            return totals;
         }
 
-        onPlayerEagerInit(player) {
-            const pbRateDescriptor = Object.getOwnPropertyDescriptor(
-                Object.getPrototypeOf(player), "playbackRate"
-            );
-            pbRateDescriptor.set = (value) => {
-                this.moddedSetPlaybackRate(player, value);
-            };
-            pbRateDescriptor.configurable = true;
-            Object.defineProperty(player, "playbackRate", pbRateDescriptor);
+        toggleDashboard() {
+            if (this.overlay.isOpen) {
+                this.overlay.close();
+                return;
+            }
 
-            player.stepPlaybackRate = (direction) => {
-                this.moddedStepPlaybackRate(player, direction);
-            };
+            // Unsaved samples are shown as well.
+            this.refresh();
+            this.renderDashboard();
+            this.overlay.open();
         }
 
-        moddedSetPlaybackRate(player, value) {
-            // Prevents changing playback rate during ads.
-            if (player.getAdState() !== -1) return;
+        renderDashboard() {
+            const rows = this.rows;
+            const today = WatchStatistics.dayKey(new Date());
+            const weekStart = WatchStatistics.dayKey(
+                new Date(Date.now() - 6 * 86400000)
+            );
 
-            // Workaround to be able to use YouTube's native OSD.
-            // A possibly undesired side effect is that the "ratechange" event
-            // is fired twice every time the playback rate is changed.
-            const direction = Math.sign(value - player.playbackRate);
-            const keyCode = (direction === -1) ? 188 : 190;
-            player.dispatchEvent(
-                new KeyboardEvent(
-                    "keydown", { keyCode: keyCode, shiftKey: true }
-                )
+            const summary = new Map([
+                ["Today", rows.filter(row => row.day === today)],
+                ["Last 7 days", rows.filter(row => row.day >= weekStart)],
+                ["All time", rows],
+            ].map(([period, group]) => [
+                period, WatchStatistics.sumRows(group)
+            ]));
+
+            const byDay = WatchStatistics.sumRowsBy(rows, row => row.day);
+            const byChannel = WatchStatistics.sumRowsBy(
+                rows, row => row.channel || row.channelId
+            );
+            const channelsBySaved = new Map(
+                [...byChannel.entries()].sort((a, b) => b[1].saved - a[1].saved)
+            );
+            const recentDays = new Map(
+                [...byDay.entries()].reverse().slice(0, 30)
             );
-            player.OSDElement.innerText = value + "x";
 
-            player.setPlaybackRate(value);
-            // Necessary for non-native values.
-            player.video.playbackRate = value;
+            const buttons = [
+                ["Export CSV", () => this.exportStatistics("csv")],
+                ["Export JSON", () => this.exportStatistics("json")],
+                ["Reset", () => this.resetStatistics()],
+            ].map(([text, onClick]) => {
+                const button = document.createElement("button");
+                button.innerText = text;
+                button.style.marginRight = "4px";
+                button.addEventListener("click", onClick);
+                return button;
+            });
+
+            this.overlay.body.replaceChildren(
+                this.createTable("Period", summary),
+                this.createHeading("Days"),
+                this.createTable("Day", recentDays),
+                this.createHeading("Channels"),
+                this.createTable("Channel", channelsBySaved),
+                ...buttons
+            );
         }
 
-        moddedStepPlaybackRate(player, direction) {
-            const oldRate = player.playbackRate;
-            const newRate = this.nextRate(oldRate, direction);
+        createHeading(text) {
+            const heading = document.createElement("h3");
+            heading.innerText = text;
+            return heading;
+        }
 
-            const isOutsideNativeRange = (newRate < 0.25 || newRate > 2);
-            const now = new Date();
-            if (isOutsideNativeRange && (now - this.timerStart < 500)) {
-                return;
+        /**
+         * @param {string} keyName Header of the first column.
+         * @param {Map<string, Object>} totals Totals, mapped by the first
+         * column value.
+         * @returns {HTMLTableElement}
+         */
+        createTable(keyName, totals) {
+            const format = WatchStatistics.formatDuration;
+
+            const table = document.createElement("table");
+            table.style.marginBottom = "12px";
+            const header = table.createTHead().insertRow();
+            for (const name of [keyName, "Watched", "Real time", "Saved"]) {
+                const cell = document.createElement("th");
+                cell.innerText = name;
+                cell.style.paddingRight = "24px";
+                cell.style.textAlign = "left";
+                header.appendChild(cell);
             }
 
-            player.playbackRate = newRate;
-
-            if (newRate == 0.25 || newRate == 2) {
-                this.timerStart = new Date();
+            const body = table.createTBody();
+            for (const [key, total] of totals) {
+                const row = body.insertRow();
+                const values = [
+                    key,
+                    format(total.content),
+                    format(total.real),
+                    format(total.saved),
+                ];
+                for (const value of values) {
+                    const cell = row.insertCell();
+                    cell.innerText = value;
+                    cell.style.paddingRight = "24px";
+                }
             }
+
+            return table;
         }
 
-        nextRate(oldRate, direction) {
-            let closestPlaybackRateIdx = this.playbackRates.length - 1;
-            for (const [i, playbackRate] of Object.entries(this.playbackRates)) {
-                if (oldRate < playbackRate) {
-                    closestPlaybackRateIdx = i - 0.5;
-                    break;
-                }
-                if (oldRate === playbackRate) {
-                    closestPlaybackRateIdx = i - 0;
-                    break;
+        exportStatistics(format) {
+            this.refresh();
+            const rows = this.rows;
+            const day = WatchStatistics.dayKey(new Date());
+
+            let contents, type;
+            if (format === "json") {
+                contents = JSON.stringify(rows, null, 2);
+                type = "application/json";
+            } else {
+                // Values are quoted since channel names might contain commas.
+                const quote = (value) => (
+                    `"${String(value).replace(/"/g, '""')}"`
+                );
+                const columns = [
+                    "day", "channelId", "channel", "content", "real", "saved",
+                ];
+                const lines = [columns.join(",")];
+                for (const row of rows) {
+                    lines.push(columns.map(c => quote(row[c])).join(","));
                 }
+                contents = lines.join("\r\n") + "\r\n";
+                type = "text/csv";
             }
 
-            let playbackRateIdx = closestPlaybackRateIdx + direction;
-            playbackRateIdx = Math.trunc(playbackRateIdx);
-            playbackRateIdx = Math.max(
-                0, Math.min(this.playbackRates.length - 1, playbackRateIdx)
+            downloadFile(
+                new Blob([contents], { type: type }),
+                `YouTube watch statistics ${day}.${format}`
             );
-
-            return this.playbackRates[playbackRateIdx];
         }
     }
 
     /**
-     * Modifies the default playback rate to the desired value. If the user
-     * changes the playback rate that will be set as the new default playback
-     * rate for the app.
+     * Pauses the other players when one starts playing, e.g. the channel
+     * trailer and the miniplayer.
      */
-    class DefaultPlaybackRate extends Tweak {
-        /**
-         * @param {number} playbackRate The player's default playback rate.
-         */
-        constructor(playbackRate = 1.25) {
-            super();
-            this.playbackRate = playbackRate;
+    class PauseOtherPlayers extends Tweak {
+        onAppInit(app) {
+            this.app = app;
         }
 
         onPlayerInit(player) {
-            player.playbackRate = this.playbackRate;
-            player.video.addEventListener(
-                "ratechange",
-                () => { this.playbackRate = player.playbackRate }
+            this.addListener(
+                player, "play", () => this.playHandler(player), true
             );
         }
-    }
 
-    /**
-     * Sets the preferred quality of the player.
-     */
-    class CustomPreferredQuality extends Tweak {
-        /**
-         * @param {QUALITY_LEVELS} preferredQuality The player's preferred
-         * quality.
-         */
-        constructor(preferredQuality = QUALITY_LEVELS._8K) {
-            super();
-            this.preferredQuality = preferredQuality;
-        }
+        playHandler(player) {
+            // Muted players are autoplaying previews (e.g. on the home feed),
+            // which should not interrupt the video being watched.
+            if (player.isMuted()) return;
 
-        onPlayerInit(player) {
-            player.playbackQuality = this.preferredQuality;
+            for (const otherPlayer of this.app.players) {
+                if (otherPlayer === player) continue;
+
+                const video = otherPlayer.video;
+                if (video && !video.paused) {
+                    otherPlayer.pauseVideo();
+                }
+            }
         }
     }
 
-    // TODO: CustomKeyboardShortcuts needs a refactor:
-    // - The actual shortcuts should be a separate class.
-    // - The original class should only take care of listening for events and
-    //   applying the shortcut actions.
-    // - Make user input detection more robust to different platforms/locales.
-    // - Get rid of default shortcuts.
     /**
-     * Adds custom actions that can be called via user defined shortcuts.
+     * Reacts to the tab being hidden: either pauses the main player and
+     * resumes it, a few seconds earlier, once the tab is visible again, or
+     * keeps it playing at the lowest quality to save bandwidth while it is
+     * only being listened to. The previous quality is restored once the tab
+     * is visible again.
      */
-    class CustomKeyboardShortcuts extends Tweak {
-        /**
-         * @param {Array<shortcut>} shortcuts List of custom shortcuts.
-         */
-        constructor(shortcuts = []) {
+    class BackgroundPlayback extends Tweak {
+        constructor() {
             super();
 
-            // TODO: Add the following shortcuts:
-            // - remove current video from playlist;
-            // - toggle PiP.
-            this.defaultShortcuts = [{
-                description: "Closes all ads",
-                modifiers: ["Alt"],
-                key: "S",
-                tweakAction: ["closeAds"],
-            },
-
-            {
-                description: "Toggles stats for nerds",
-                modifiers: ["Alt"],
-                key: "V",
-                playerAction: ["toggleStatsForNerds"],
-            },
-
-            {
-                description: "Toggles player UI",
-                modifiers: ["Alt"],
-                key: "C",
-                playerAction: ["toggleUI"],
-            },
-
-            {
-                description: "Sets playback rate to '1x'",
-                modifiers: ["Alt"],
-                key: "1",
-                tweakAction: ["setPlaybackRate", [1]],
-            },
-
-            {
-                description: "Set playback rate to '2x'",
-                modifiers: ["Alt"],
-                key: "2",
-                tweakAction: ["setPlaybackRate", [2]],
-            },
-
-            {
-                description: "Decreases volume",
-                modifiers: ["Alt"],
-                key: "ArrowDown",
-                playerAction: ["stepVolume", [-1]],
-            },
-
-            {
-                description: "Increases volume",
-                modifiers: ["Alt"],
-                key: "ArrowUp",
-                playerAction: ["stepVolume", [1]],
-            },
-
-            {
-                description: "Decreases playback rate",
-                modifiers: ["Ctrl", "Shift"],
-                key: "<",
-                playerAction: ["stepPlaybackRate", [-1]],
-            },
+            this.mode = "pause";
+            this.rewind = 5;
 
-            {
-                description: "Increases playback rate",
-                modifiers: ["Ctrl", "Shift"],
-                key: ">",
-                playerAction: ["stepPlaybackRate", [1]],
-            },
+            this.isPausedInBackground = false;
+            this.qualityLimitName = "backgroundPlayback";
+            // Qualities to restore once the tab is visible, mapped by player.
+            this.foregroundQualities = new Map();
+        }
 
-            {
-                description: "Pauses JavaScript execution (only works if " +
-                    "dev tools are already open)",
-                modifiers: ["Alt", "Ctrl"],
-                key: "D",
-                action: function () { debugger },
-            },
-            ];
-            this.shortcuts = [...this.defaultShortcuts, ...shortcuts];
-            this.modifiers = {
-                Alt: "altKey",
-                Ctrl: "ctrlKey",
-                Meta: "metaKey",
-                Shift: "shiftKey",
-            };
+        static get isEnabledByDefault() {
+            return false;
+        }
 
-            this.adSelectors = {
-                SKIP_AD: ".ytp-ad-skip-button-container",
-                CLOSE_BANNER: ".ytp-ad-overlay-close-button",
+        static get settingsSchema() {
+            return {
+                mode: {
+                    type: SETTING_TYPES.ENUM,
+                    values: ["pause", "audioOnly"],
+                    default: "pause",
+                    description: "What to do while the tab is hidden: " +
+                        "pause, or keep playing at the lowest quality",
+                },
+                rewind: {
+                    type: SETTING_TYPES.NUMBER,
+                    default: 5,
+                    min: 0,
+                    description: "Seconds to rewind when resuming a paused " +
+                        "video",
+                },
             };
         }
 
         onAppInit(app) {
             this.app = app;
-            window.addEventListener(
-                "keydown",
-                this.eventHandler.bind(this)
+            this.addListener(
+                document, "visibilitychange", () => this.visibilityHandler()
             );
         }
 
-        eventHandler(event) {
-            const mods = this.modifiers;
-            const shortcuts = this.shortcuts;
-
-            shortcutsLoop: for (const shortcut of shortcuts) {
-                // Checks that proper key is pressed.
-                const key = shortcut.key.toUpperCase();
-                if (event.key.toUpperCase() !== key) {
-                    continue shortcutsLoop;
-                }
+        onAppDestroy(app) {
+            this.isPausedInBackground = false;
+        }
 
-                // Checks that relevant modifiers and only them are pressed.
-                for (const [modName, modKey] of Object.entries(mods)) {
-                    const shouldBePressed = shortcut.modifiers.includes(modName);
-                    const isPressed = event[modKey];
+        onPlayerRemoved(player) {
+            this.foregroundQualities.delete(player);
+        }
 
-                    if (shouldBePressed != isPressed) {
-                        continue shortcutsLoop;
-                    }
-                }
+        onPlayerDestroy(player) {
+            this.restoreQuality(player);
+        }
 
-                // Correct key and modifiers were pressed.
-                if (shortcut.tweakAction) {
-                    let [action, args] = shortcut.tweakAction;
-                    this[action](...(args || []));
-                }
-                if (shortcut.playerAction) {
-                    const player = this.app.focusedPlayer || this.app.mainPlayer;
-                    if (!player) return;
+        visibilityHandler() {
+            const player = this.app.mainPlayer;
+            if (!player || !player.video) return;
 
-                    let [action, args] = shortcut.playerAction;
-                    player[action](...(args || []));
-                }
-                if (shortcut.action) {
-                    shortcut.action();
-                }
+            if (document.hidden) {
+                this.hideHandler(player);
+            } else {
+                this.showHandler(player);
             }
         }
 
-        /**
-         * Closes all ads and returns focus to a player.
-         */
-        closeAds() {
-            const focusedPlayer = this.app.focusedPlayer;
-            const skipAdSelector = this.adSelectors.SKIP_AD;
-
-            for (const button of this.getAdButtons()) {
-                // Check to prevent skipping ads before timer runs out.
-                const isSkipAdButton = button.matches(skipAdSelector);
-                const isHidden = (button.style.display === "none");
-                if (isSkipAdButton && isHidden) continue;
-
-                button.click();
+        hideHandler(player) {
+            if (player.video.paused || player.adState === AD_STATES.AD) return;
+
+            if (this.mode === "pause") {
+                player.pauseVideo();
+                this.isPausedInBackground = true;
+            } else if (this.mode === "audioOnly") {
+                // The policy's own background quality is used instead, so
+                // that both do not compete.
+                if (this.isBackgroundQualityLimited) return;
+
+                // Qualities selected automatically by YouTube are left to it
+                // again afterwards rather than pinned.
+                const element = player.element;
+                const isAuto = (
+                    element.getPreferredQuality &&
+                    element.getPreferredQuality() === QUALITY_LEVELS.AUTO
+                );
+                const quality = isAuto ?
+                    QUALITY_LEVELS.AUTO : player.playbackQuality;
+                this.foregroundQualities.set(player, quality);
+
+                if (this.qualityPolicy) {
+                    // The limit keeps the policy from raising the quality
+                    // again, e.g. when the player is resized.
+                    player.setQualityLimit(
+                        this.qualityLimitName, QUALITY_LEVELS._144p
+                    );
+                } else {
+                    player.playbackQuality = QUALITY_LEVELS._144p;
+                }
             }
+        }
 
-            if (focusedPlayer) {
-                focusedPlayer.focus();
-            } else {
-                this.app.focusNextPlayer();
-            }
+        restoreQuality(player) {
+            // The quality policy, if any, applies its own quality once the
+            // limit is removed.
+            player.removeQualityLimit(this.qualityLimitName);
+            if (!this.foregroundQualities.has(player)) return;
+
+            const quality = this.foregroundQualities.get(player);
+            this.foregroundQualities.delete(player);
+            // Automatic selection is left to the policy if there is one.
+            if (quality === QUALITY_LEVELS.AUTO && this.qualityPolicy) return;
+
+            player.playbackQuality = quality;
         }
 
-        getAdButtons() {
-            const selectors = Object.values(this.adSelectors);
-            const adButtons = [];
-            for (const selector of selectors) {
-                adButtons.push(...document.querySelectorAll(selector))
-            }
+        /**
+         * The quality policy, if CustomPreferredQuality is enabled.
+         * @type {CustomPreferredQuality|undefined}
+         */
+        get qualityPolicy() {
+            return this.app.tweaks.find(
+                tweak => tweak instanceof CustomPreferredQuality
+            );
+        }
 
-            return adButtons;
+        /**
+         * Whether the quality policy already lowers the quality while the tab
+         * is hidden.
+         * @type {boolean}
+         */
+        get isBackgroundQualityLimited() {
+            const policy = this.qualityPolicy;
+            return !!policy && policy.limitInBackground;
         }
 
-        setPlaybackRate(value) {
-            const player = this.app.focusedPlayer || this.app.mainPlayer;
-            player.playbackRate = value;
+        showHandler(player) {
+            if (this.isPausedInBackground) {
+                this.isPausedInBackground = false;
+
+                // The video might have been resumed in the meantime.
+                if (!player.video.paused) return;
+
+                const time = Math.max(0, player.getCurrentTime() - this.rewind);
+                player.seekTo(time, true);
+                player.playVideo();
+                if (this.rewind) {
+                    player.showOSD(`Resumed (−${this.rewind}s)`);
+                }
+            }
+
+            this.restoreQuality(player);
         }
     }
 
-    // BUG: Live badge is hidden in live videos and eff time is shown.
-    // TODO: Replace only the required individual elements instead of replacing the whole 'ytp-time-display'.
-    // TODO: Do not update time if display is hidden.
     /**
-     * Tweaks the time display to show the effective time, taking the current
-     * playback rate into account.
+     * Skips segments of videos, such as sponsor reads, intros and outros,
+     * marked by the user. Segments are stored per video and can be imported
+     * and exported as JSON files in the SponsorBlock format.
      */
-    class EffectiveTimeDisplay extends Tweak {
+    class SegmentSkipping extends Tweak {
         constructor() {
             super();
 
-            this.effTDClassName = "eff-time-display ytp-time-display";
-            this.effTDChildren = {
-                current: {
-                    className: "eff-time-current ytp-time-current",
+            this.skipCategories = [
+                "sponsor", "selfpromo", "interaction", "intro", "outro",
+            ];
+
+            // Segments, mapped by video id.
+            this.store = new PersistentStore("YouTubeTweaks.segments");
+            this.category = "sponsor";
+            this.pendingStart = null;
+        }
+
+        static get settingsSchema() {
+            return {
+                skipCategories: {
+                    type: SETTING_TYPES.LIST,
+                    items: {
+                        type: SETTING_TYPES.ENUM,
+                        values: Object.keys(SEGMENT_CATEGORIES),
+                    },
+                    default: [
+                        "sponsor", "selfpromo", "interaction", "intro",
+                        "outro",
+                    ],
+                    description: "Categories of the segments which are " +
+                        "skipped automatically",
                 },
-                separator: {
-                    className: "eff-time-separator ytp-time-separator",
-                    innerText: " / ",
+            };
+        }
+
+        onAppInit(app) {
+            this.app = app;
+
+            const actions = {
+                markSegmentStart: {
+                    description: "Marks the start of a segment",
+                    defaultBinding: "Alt+[",
+                    run: () => this.markSegmentStart(),
                 },
-                duration: {
-                    className: "eff-time-duration ytp-time-duration",
+                markSegmentEnd: {
+                    description: "Marks the end of a segment and saves it",
+                    defaultBinding: "Alt+]",
+                    run: () => this.markSegmentEnd(),
                 },
-                playbackRate: {
-                    className: "eff-playback-rate ytp-time-duration",
+                cycleSegmentCategory: {
+                    description: "Changes the category of new segments",
+                    defaultBinding: "Alt+'",
+                    run: () => this.cycleCategory(),
+                },
+                undoSegmentSkip: {
+                    description: "Returns to the last skipped segment",
+                    defaultBinding: "Alt+U",
+                    run: () => this.undoSkip(),
+                },
+                removeSegment: {
+                    description: "Removes the segments at the current time",
+                    label: "Remove segment at current time",
+                    run: () => this.removeSegment(),
+                },
+                exportSegments: {
+                    description: "Exports the segments of every video",
+                    label: "Export segments",
+                    run: () => this.exportSegments(),
+                },
+                importSegments: {
+                    description: "Imports segments from a file",
+                    label: "Import segments",
+                    run: () => this.importSegments(),
                 },
             };
-
-            this.tweakedTDs = [];
+            this.addActions(app, actions);
         }
 
         onPlayerInit(player) {
-            this.tweakTDs(player);
-            this.bindListeners(player);
+            this.loadSegments(player);
         }
 
-        onPlayerRefresh(player) {
-            this.tweakTDs(player);
+        onVideoChange(player) {
+            this.loadSegments(player);
         }
 
-        tweakTDs(player) {
-            const nonTweakedTDs = this.getNonTweakedTDs(player);
-            for (const nativeTD of nonTweakedTDs) {
-                const effTD = this.createEffTD();
-                this.addMouseWheelPlaybackRateControl(player, effTD);
-
-                this.tweakedTDs.push({
-                    native: nativeTD,
-                    eff: effTD,
-                    active: nativeTD,
-                    player: player,
-                });
+        onSettingsChange(app) {
+            for (const player of app.players) {
+                this.loadSegments(player);
             }
-            this.updateTDs(player);
         }
 
-        bindListeners(player) {
-            player.video.addEventListener(
-                "timeupdate", () => this.updateTDs(player)
+        onPlayerDestroy(player) {
+            player.setSegments([]);
+        }
+
+        onAppDestroy(app) {
+            this.pendingStart = null;
+        }
+
+        getSegments(videoId) {
+            return this.store.value[videoId] || [];
+        }
+
+        loadSegments(player) {
+            const segments = this.getSegments(player.videoId).map(
+                segment => ({
+                    start: segment.start,
+                    end: segment.end,
+                    category: segment.category,
+                    autoSkip: this.skipCategories.includes(segment.category),
+                })
             );
-            player.video.addEventListener(
-                "ratechange", () => this.updateTDs(player)
+            player.setSegments(
+                segments, (segment) => this.skipHandler(player, segment)
             );
         }
 
-        getNonTweakedTDs(player) {
-            const nativeTDs = player.timeDisplays;
-            const nonTweakedTDs = [];
+        skipHandler(player, segment) {
+            const binding = this.app.shortcuts.getBinding("undoSegmentSkip");
+            const undo = binding ? ` (${binding} to undo)` : "";
+            player.showOSD(`Skipped ${segment.category}${undo}`, 2000);
+        }
 
-            for (const nativeTD of nativeTDs) {
-                const TDAlreadyTweaked = this.tweakedTDs.find(
-                    e => (e.native === nativeTD)
-                );
-                if (TDAlreadyTweaked) continue;
+        markSegmentStart() {
+            const player = this.app.activePlayer;
+            if (!player || !player.videoId) return;
 
-                nonTweakedTDs.push(nativeTD);
+            const time = player.getCurrentTime();
+            this.pendingStart = { videoId: player.videoId, time: time };
+            player.showOSD(
+                `${this.category} start: ` +
+                EffectiveTimeDisplay.secsToDisplayFormat(time)
+            );
+        }
+
+        markSegmentEnd() {
+            const player = this.app.activePlayer;
+            if (!player || !player.videoId) return;
+
+            const pendingStart = this.pendingStart;
+            if (!pendingStart || pendingStart.videoId !== player.videoId) {
+                player.showOSD("Mark the start of the segment first");
+                return;
             }
 
-            return nonTweakedTDs;
+            const start = pendingStart.time;
+            const end = player.getCurrentTime();
+            if (end <= start) {
+                player.showOSD("Segments have to end after they start");
+                return;
+            }
+            this.pendingStart = null;
+
+            this.addSegments(player.videoId, [{
+                start: start,
+                end: end,
+                category: this.category,
+                UUID: SegmentSkipping.createUUID(),
+            }]);
+            player.showOSD(
+                `${this.category}: ` +
+                EffectiveTimeDisplay.secsToDisplayFormat(start) + " – " +
+                EffectiveTimeDisplay.secsToDisplayFormat(end)
+            );
         }
 
-        createEffTD() {
-            const effTD = document.createElement("div");
-            effTD.className = this.effTDClassName;
+        cycleCategory() {
+            const categories = Object.keys(SEGMENT_CATEGORIES);
+            const idx = categories.indexOf(this.category);
+            this.category = categories[(idx + 1) % categories.length];
 
-            for (const child of Object.values(this.effTDChildren)) {
-                const element = document.createElement("span");
-                for (const [attr, val] of Object.entries(child)) {
-                    element[attr] = val;
-                }
-                effTD.appendChild(element);
+            const player = this.app.activePlayer;
+            if (player) {
+                player.showOSD(`Segment category: ${this.category}`);
             }
+        }
 
-            return effTD;
+        undoSkip() {
+            const player = this.app.activePlayer;
+            if (!player) return;
+
+            const segment = player.undoSegmentSkip();
+            if (segment) {
+                player.showOSD(`Returned to ${segment.category}`);
+            }
         }
 
-        updateTDs(player) {
-            // HACK: Temporary workaround until an ad state change event is
-            // implemented.
-            const adState = player.getAdState();
-            const tweakedTDs = this.tweakedTDs.filter(e => e.player == player);
+        removeSegment() {
+            const player = this.app.activePlayer;
+            if (!player || !player.videoId) return;
 
-            if (adState != -1) {
-                this.disableEffTDs(tweakedTDs);
+            const time = player.getCurrentTime();
+            const segments = this.getSegments(player.videoId);
+            const remaining = segments.filter(
+                segment => (time < segment.start || time > segment.end)
+            );
+            if (remaining.length === segments.length) {
+                player.showOSD("No segment at the current time");
                 return;
             }
 
-            this.enableEffTDs(tweakedTDs);
-            this.updateEffTime(tweakedTDs);
+            this.store.value[player.videoId] = remaining;
+            if (!remaining.length) {
+                delete this.store.value[player.videoId];
+            }
+            this.store.save();
+            this.updateVideo(player.videoId);
+            player.showOSD("Segment removed");
         }
 
-        disableEffTDs(tweakedTDs) {
-            for (const tweakedTD of tweakedTDs) {
-                this.replaceTDElements(tweakedTD.active, tweakedTD.native);
-                tweakedTD.active = tweakedTD.native;
-            }
+        /**
+         * Stores segments of a video, ignoring the ones already stored.
+         * @param {string} videoId
+         * @param {Array<Object>} segments
+         * @returns {number} Number of segments added.
+         */
+        addSegments(videoId, segments) {
+            const stored = this.getSegments(videoId);
+            const isStored = (segment) => stored.some(e => (
+                e.UUID === segment.UUID || (
+                    e.start === segment.start && e.end === segment.end &&
+                    e.category === segment.category
+                )
+            ));
+
+            const newSegments = segments.filter(e => !isStored(e));
+            if (!newSegments.length) return 0;
+
+            this.store.value[videoId] = [...stored, ...newSegments].sort(
+                (a, b) => a.start - b.start
+            );
+            this.store.save();
+            this.updateVideo(videoId);
+
+            return newSegments.length;
         }
 
-        enableEffTDs(tweakedTDs) {
-            for (const tweakedTD of tweakedTDs) {
-                this.replaceTDElements(tweakedTD.active, tweakedTD.eff);
-                tweakedTD.active = tweakedTD.eff;
+        updateVideo(videoId) {
+            for (const player of this.app.players) {
+                if (player.videoId === videoId) this.loadSegments(player);
             }
         }
 
-        replaceTDElements(td1, td2) {
-            const liveBadge = td1.getElementsByClassName(
-                "ytp-live-badge ytp-button"
-            )[0];
-            if (liveBadge) {
-                td2.appendChild(liveBadge);
+        static createUUID() {
+            if (window.crypto && crypto.randomUUID) {
+                return crypto.randomUUID();
             }
+            return Date.now().toString(16) +
+                Math.random().toString(16).slice(2);
+        }
 
-            td1.replaceWith(td2);
+        /**
+         * Segments in the format of the SponsorBlock API, grouped by video.
+         * @returns {Array<Object>}
+         */
+        toSponsorBlockFormat() {
+            return Object.entries(this.store.value).map(
+                ([videoId, segments]) => ({
+                    videoID: videoId,
+                    segments: segments.map(segment => ({
+                        segment: [segment.start, segment.end],
+                        category: segment.category,
+                        actionType: "skip",
+                        UUID: segment.UUID,
+                    })),
+                })
+            );
         }
 
-        addMouseWheelPlaybackRateControl(player, effTD) {
-            effTD.addEventListener(
-                "wheel",
-                function (event) {
-                    event.preventDefault();
+        /**
+         * Reads segments in the format of the SponsorBlock API, either
+         * grouped by video or as a flat list whose items set their videoID.
+         * Segments without a video id are assigned to the current video.
+         * @param {*} data Parsed JSON.
+         * @returns {Map<string, Array<Object>>} Segments, mapped by video id.
+         */
+        fromSponsorBlockFormat(data) {
+            const player = this.app.activePlayer;
+            const currentVideoId = player && player.videoId;
+            const segmentsByVideo = new Map();
+
+            const addSegment = (videoId, item) => {
+                const isValid = (
+                    videoId && item && Array.isArray(item.segment) &&
+                    item.segment[1] > item.segment[0] &&
+                    SEGMENT_CATEGORIES.hasOwnProperty(item.category) &&
+                    (item.actionType || "skip") === "skip"
+                );
+                if (!isValid) return;
 
-                    const direction = -Math.sign(event.deltaY);
-                    player.stepPlaybackRate(direction);
+                if (!segmentsByVideo.has(videoId)) {
+                    segmentsByVideo.set(videoId, []);
                 }
-            )
-        }
-
-        updateEffTime(tweakedTDs) {
-            for (const tweakedTD of tweakedTDs) {
-                const eff = tweakedTD.eff;
-                const player = tweakedTD.player;
+                segmentsByVideo.get(videoId).push({
+                    start: Number(item.segment[0]),
+                    end: Number(item.segment[1]),
+                    category: item.category,
+                    UUID: item.UUID || SegmentSkipping.createUUID(),
+                });
+            };
 
-                const current = player.getCurrentTime();
-                const duration = player.getDuration();
-                const rate = player.playbackRate;
-                const tdStrings = this.effTimeStrings(current, duration, rate);
+            for (const entry of Array.isArray(data) ? data : [data]) {
+                if (!entry) continue;
 
-                for (const [child, text] of Object.entries(tdStrings)) {
-                    const className = this.effTDChildren[child].className;
-                    const element = eff.getElementsByClassName(className)[0];
-                    element.innerText = text;
+                if (Array.isArray(entry.segments)) {
+                    for (const item of entry.segments) {
+                        addSegment(entry.videoID, item);
+                    }
+                } else {
+                    addSegment(entry.videoID || currentVideoId, entry);
                 }
             }
+
+            return segmentsByVideo;
         }
 
-        effTimeStrings(current, duration, rate) {
-            let effCurrent, effDuration, rateStr;
-            if (!rate || rate == 1) {
-                effCurrent = current;
-                effDuration = duration;
-                rateStr = "";
+        exportSegments() {
+            const contents = JSON.stringify(
+                this.toSponsorBlockFormat(), null, 2
+            );
+            const day = new Date().toISOString().slice(0, 10);
+            downloadFile(
+                new Blob([contents], { type: "application/json" }),
+                `YouTube segments ${day}.json`
+            );
+        }
+
+        importSegments() {
+            const input = document.createElement("input");
+            input.type = "file";
+            input.accept = ".json,application/json";
+            input.addEventListener("change", () => {
+                const file = input.files[0];
+                if (!file) return;
+
+                file.text().then((text) => {
+                    let added = 0;
+                    const segmentsByVideo = this.fromSponsorBlockFormat(
+                        JSON.parse(text)
+                    );
+                    for (const [videoId, segments] of segmentsByVideo) {
+                        added += this.addSegments(videoId, segments);
+                    }
+                    this.showMessage(`Imported ${added} segments`);
+                }).catch(() => {
+                    this.showMessage("Segments could not be imported");
+                });
+            });
+            input.click();
+        }
+
+        showMessage(text) {
+            const player = this.app.activePlayer;
+            if (player) {
+                player.showOSD(text);
             } else {
-                effCurrent = current / rate;
-                effDuration = duration / rate;
-                rateStr = ` (${rate}x)`;
+                window.alert(text);
             }
+        }
+    }
 
-            const effCurrentStr = this.secsToDisplayFormat(effCurrent);
-            const effDurationStr = this.secsToDisplayFormat(effDuration);
+    /**
+     * Marks the chapters listed in the video description on the progress bar
+     * of videos which YouTube does not split into chapters.
+     */
+    class DescriptionChapterMarkers extends Tweak {
+        constructor() {
+            super();
 
-            return {
-                current: effCurrentStr,
-                duration: effDurationStr,
-                playbackRate: rateStr
-            };
+            // The description is updated some time after the video changes.
+            this.drawDelay = 1000;
+            // Ids of the progress bar markers, mapped by player.
+            this.markerIds = new Map();
+        }
+
+        onPlayerInit(player) {
+            this.scheduleDraw(player);
+        }
+
+        onVideoChange(player) {
+            this.removeMarkers(player);
+            this.scheduleDraw(player);
+        }
+
+        onPlayerRemoved(player) {
+            this.markerIds.delete(player);
+        }
+
+        onPlayerDestroy(player) {
+            this.removeMarkers(player);
+        }
+
+        scheduleDraw(player) {
+            this.addTimeout(
+                () => this.retryOnFail(() => this.drawMarkers(player)),
+                this.drawDelay
+            );
         }
 
         /**
-         * Converts number of seconds to time display format.
-         * @param {number} secs Number of seconds to convert.
-         * @returns {string} Time formatted as [[[[[d]d:]h]h:]m]m:ss.
+         * @returns {boolean} Whether there is nothing left to draw.
          */
-        secsToDisplayFormat(secs) {
-            let d = Math.floor(secs / 86400);
-            secs -= d * 86400;
-            let h = Math.floor(secs / 3600);
-            secs -= h * 3600;
-            let m = Math.floor(secs / 60);
-            secs -= m * 60;
-            let s = Math.floor(secs);
-
-            const separator = ":";
-            let dhSeparator = separator;
-            let hmSeparator = separator;
-            let msSeparator = separator;
+        drawMarkers(player) {
+            this.removeMarkers(player);
+
+            // Native chapters are already shown on the progress bar.
+            if (player.chapterSegmentStarts.length) return true;
+
+            // The description might not be loaded yet.
+            const chapters = player.descriptionChapters;
+            if (!chapters.length) return false;
+
+            // The first chapter starts at the beginning of the video.
+            const ids = chapters.slice(1).map(
+                chapter => player.addMarker(chapter.start, {
+                    label: chapter.title,
+                    color: "rgba(255, 255, 255, 0.8)",
+                    className: "tweaks-chapter-marker",
+                })
+            );
+            this.markerIds.set(player, ids);
 
-            if (d == 0) { d = dhSeparator = "" };
-            if (d == 0 && h == 0) { h = hmSeparator = "" };
-            if (h < 10 && d != 0) { h = "0" + h }
-            if (m < 10 && (d != 0 || h != 0)) { m = "0" + m };
-            if (s < 10) { s = "0" + s };
+            return true;
+        }
 
-            return d + dhSeparator + h + hmSeparator + m + msSeparator + s;
+        removeMarkers(player) {
+            for (const id of this.markerIds.get(player) || []) {
+                player.removeOverlay(id);
+            }
+            this.markerIds.delete(player);
         }
     }
 
+    /**
+     * Creates the API through which other scripts extend the app. Its version
+     * is increased whenever a change breaks compatibility.
+     * @param {TweakedYouTubeApp} app
+     * @returns {Object}
+     */
+    function createPublicAPI(app) {
+        return Object.freeze({
+            version: 1,
+            Tweak: Tweak,
+            EVENTS: EVENTS,
+            PAGE_TYPES: PAGE_TYPES,
+            AD_STATES: AD_STATES,
+            QUALITY_LEVELS: QUALITY_LEVELS,
+            SETTING_TYPES: SETTING_TYPES,
+            SEGMENT_CATEGORIES: SEGMENT_CATEGORIES,
+
+            /**
+             * Registers a Tweak subclass, which is applied right away to the
+             * app and to the existing players.
+             * @param {typeof Tweak} TweakClass
+             * @returns {Tweak}
+             */
+            registerTweak: (TweakClass) => app.registerTweak(TweakClass),
+
+            /**
+             * Subscribes a callback to an app or player event.
+             * @param {EVENTS} event
+             * @param {function(Object)} callback
+             * @returns {function()} Unsubscribes the callback.
+             */
+            on: (event, callback) => {
+                app.on(event, callback);
+                return () => app.off(event, callback);
+            },
+
+            off: (event, callback) => app.off(event, callback),
+
+            /**
+             * @returns {Array<TweakedYouTubePlayer>} Players on the page.
+             */
+            getPlayers: () => {
+                app.updatePlayers();
+                return [...app.players];
+            },
+
+            /**
+             * Finds the player matching a selector or containing an element.
+             * @param {string|Element} target
+             * @returns {TweakedYouTubePlayer|undefined}
+             */
+            getPlayer: (target) => {
+                app.updatePlayers();
+                return app.players.find(player => (
+                    typeof target === "string" ?
+                        player.matches(target) :
+                        player.element === target || player.contains(target)
+                ));
+            },
+
+            get mainPlayer() {
+                return app.mainPlayer;
+            },
+
+            get activePlayer() {
+                return app.activePlayer;
+            },
+
+            get pageType() {
+                return app.pageType;
+            },
+        });
+    }
 
     const tweaks = [
-        new SaveProgressOnURL(5000),
-        new MouseWheelVolumeControl(),
-        new MouseWheelPlaybackRateControl(),
-        new ModPlaybackRate([]),
-        new DefaultPlaybackRate(2),
-        new CustomPreferredQuality(QUALITY_LEVELS.FHD),
-        new CustomKeyboardShortcuts([]),
-        new EffectiveTimeDisplay(),
+        SaveProgressOnURL,
+        MouseWheelVolumeControl,
+        MouseWheelPlaybackRateControl,
+        ModPlaybackRate,
+        DefaultPlaybackRate,
+        CustomPreferredQuality,
+        ChannelPlaybackProfiles,
+        CustomKeyboardShortcuts,
+        EffectiveTimeDisplay,
+        PlaylistPlaytime,
+        OpenNewSubscriptions,
+        HideUIWhilePaused,
+        SmartSpeed,
+        ABLoop,
+        AudioProcessing,
+        FineSeekControls,
+        FrameCapture,
+        VideoBookmarks,
+        WatchStatistics,
+        PauseOtherPlayers,
+        BackgroundPlayback,
+        SegmentSkipping,
+        DescriptionChapterMarkers,
     ];
-    new TweakedYouTubeApp(tweaks);
+    const app = new TweakedYouTubeApp(tweaks, new SettingsStore());
+
+    // Scripts that run earlier can wait for the ready event instead.
+    window.YouTubeTweaks = createPublicAPI(app);
+    window.dispatchEvent(new CustomEvent("YouTubeTweaks:ready", {
+        detail: window.YouTubeTweaks,
+    }));
 })();